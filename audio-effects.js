@@ -0,0 +1,308 @@
+// Band centre frequencies for the 10-band equalizer (Hz)
+export const EQ_FREQUENCIES = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+const DEFAULT_Q = 1.1;
+
+const bandsFromGains = (gains) => gains.map((gain, i) => ({
+    frequency: EQ_FREQUENCIES[i],
+    gain,
+    q: DEFAULT_Q
+}));
+
+export const EQ_PRESETS = {
+    flat: {
+        label: 'Flat',
+        preamp: 0,
+        bands: bandsFromGains([0, 0, 0, 0, 0, 0, 0, 0, 0, 0]),
+        stereoWidth: 1
+    },
+    'bass-boost': {
+        label: 'Bass Boost',
+        preamp: -4,
+        bands: bandsFromGains([6, 5, 4, 2, 0, 0, 0, 0, 0, 0]),
+        stereoWidth: 1
+    },
+    vocal: {
+        label: 'Vocal',
+        preamp: -2,
+        bands: bandsFromGains([-2, -2, -1, 0, 2, 4, 4, 3, 1, 0]),
+        stereoWidth: 0.9
+    },
+    'lo-fi': {
+        label: 'Lo-Fi',
+        preamp: 0,
+        bands: bandsFromGains([-8, -4, 0, 2, 3, 2, 0, -4, -10, -14]),
+        stereoWidth: 0.6
+    }
+};
+
+export function getDefaultEffectsSettings() {
+    return createEffectsSettings('flat');
+}
+
+export function createEffectsSettings(presetName) {
+    const preset = EQ_PRESETS[presetName] || EQ_PRESETS.flat;
+    return {
+        preset: EQ_PRESETS[presetName] ? presetName : 'flat',
+        preamp: preset.preamp,
+        bands: preset.bands.map(band => ({ ...band })),
+        stereoWidth: preset.stereoWidth,
+        limiter: true
+    };
+}
+
+// Fill in anything missing from saved settings (older records, partial overrides)
+export function normalizeEffectsSettings(settings) {
+    const base = getDefaultEffectsSettings();
+    if (!settings || typeof settings !== 'object') return base;
+    const bands = EQ_FREQUENCIES.map((frequency, i) => {
+        const band = Array.isArray(settings.bands) ? settings.bands[i] : null;
+        return {
+            frequency: Number(band?.frequency) || frequency,
+            gain: clamp(Number(band?.gain) || 0, -12, 12),
+            q: Number(band?.q) || DEFAULT_Q
+        };
+    });
+    return {
+        preset: typeof settings.preset === 'string' ? settings.preset : 'custom',
+        preamp: clamp(Number(settings.preamp) || 0, -12, 12),
+        bands,
+        stereoWidth: clamp(settings.stereoWidth ?? base.stereoWidth, 0, 2),
+        limiter: settings.limiter !== false
+    };
+}
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+const dbToGain = (db) => Math.pow(10, db / 20);
+
+// preamp -> EQ bands -> stereo width -> limiter
+export default class AudioEffectsChain {
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+
+        this.preamp = audioContext.createGain();
+        this.input = this.preamp;
+
+        this.filters = EQ_FREQUENCIES.map((frequency, i) => {
+            const filter = audioContext.createBiquadFilter();
+            if (i === 0) filter.type = 'lowshelf';
+            else if (i === EQ_FREQUENCIES.length - 1) filter.type = 'highshelf';
+            else filter.type = 'peaking';
+            filter.frequency.value = frequency;
+            filter.Q.value = DEFAULT_Q;
+            filter.gain.value = 0;
+            return filter;
+        });
+
+        // Stereo width: each output channel mixes its own side with a share of the other
+        this.splitter = audioContext.createChannelSplitter(2);
+        this.merger = audioContext.createChannelMerger(2);
+        this.leftToLeft = audioContext.createGain();
+        this.rightToLeft = audioContext.createGain();
+        this.rightToRight = audioContext.createGain();
+        this.leftToRight = audioContext.createGain();
+
+        this.limiter = audioContext.createDynamicsCompressor();
+        this.output = this.limiter;
+
+        let node = this.preamp;
+        for (const filter of this.filters) {
+            node.connect(filter);
+            node = filter;
+        }
+        node.connect(this.splitter);
+        this.splitter.connect(this.leftToLeft, 0);
+        this.splitter.connect(this.leftToRight, 0);
+        this.splitter.connect(this.rightToRight, 1);
+        this.splitter.connect(this.rightToLeft, 1);
+        this.leftToLeft.connect(this.merger, 0, 0);
+        this.rightToLeft.connect(this.merger, 0, 0);
+        this.rightToRight.connect(this.merger, 0, 1);
+        this.leftToRight.connect(this.merger, 0, 1);
+        this.merger.connect(this.limiter);
+
+        this.apply(getDefaultEffectsSettings());
+    }
+
+    apply(settings) {
+        const normalized = normalizeEffectsSettings(settings);
+        const now = this.audioContext.currentTime;
+        const set = (param, value) => param.setTargetAtTime(value, now, 0.02);
+
+        set(this.preamp.gain, dbToGain(normalized.preamp));
+
+        normalized.bands.forEach((band, i) => {
+            const filter = this.filters[i];
+            set(filter.frequency, band.frequency);
+            set(filter.gain, band.gain);
+            set(filter.Q, band.q);
+        });
+
+        // width 0 = mono, 1 = unchanged, 2 = extra wide
+        const direct = (1 + normalized.stereoWidth) / 2;
+        const cross = (1 - normalized.stereoWidth) / 2;
+        set(this.leftToLeft.gain, direct);
+        set(this.rightToRight.gain, direct);
+        set(this.rightToLeft.gain, cross);
+        set(this.leftToRight.gain, cross);
+
+        if (normalized.limiter) {
+            set(this.limiter.threshold, -1);
+            set(this.limiter.knee, 0);
+            set(this.limiter.ratio, 20);
+            set(this.limiter.attack, 0.003);
+            set(this.limiter.release, 0.25);
+        } else {
+            // A 1:1 ratio lets everything through untouched
+            set(this.limiter.threshold, 0);
+            set(this.limiter.ratio, 1);
+        }
+
+        return normalized;
+    }
+}
+
+// Turntable speeds; 33⅓ plays the file at its normal rate
+export const RPM_SPEEDS = {
+    '33': 100 / 3,
+    '45': 45,
+    '78': 78
+};
+
+export function getRpmRate(rpm) {
+    return (RPM_SPEEDS[rpm] || RPM_SPEEDS['33']) / RPM_SPEEDS['33'];
+}
+
+// A few seconds of looped surface hiss with crackles and the odd pop
+function createSurfaceNoiseBuffer(audioContext, seconds = 6) {
+    const { sampleRate } = audioContext;
+    const length = Math.floor(sampleRate * seconds);
+    const buffer = audioContext.createBuffer(2, length, sampleRate);
+
+    for (let channel = 0; channel < 2; channel++) {
+        const data = buffer.getChannelData(channel);
+        let brown = 0;
+        for (let i = 0; i < length; i++) {
+            // Low, soft hiss: heavily smoothed white noise
+            brown = brown * 0.97 + (Math.random() * 2 - 1) * 0.03;
+            data[i] = brown * 0.15;
+        }
+
+        const addClick = (amplitude, decaySamples) => {
+            const start = Math.floor(Math.random() * (length - decaySamples));
+            const sign = Math.random() < 0.5 ? -1 : 1;
+            for (let j = 0; j < decaySamples; j++) {
+                data[start + j] += sign * amplitude * Math.exp(-j / (decaySamples / 5)) * (Math.random() * 0.6 + 0.4);
+            }
+        };
+        const crackles = Math.floor(seconds * 9);
+        for (let c = 0; c < crackles; c++) addClick(0.05 + Math.random() * 0.15, 24);
+        const pops = Math.max(1, Math.floor(seconds * 0.4));
+        for (let c = 0; c < pops; c++) addClick(0.3 + Math.random() * 0.3, 180);
+    }
+    return buffer;
+}
+
+// Vinyl character: pitch wow/flutter through a modulated delay plus mixed-in surface noise
+export class VinylSimulator {
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+        this.settings = { enabled: false, crackle: 0.5 };
+        this.needleDown = false;
+
+        this.input = audioContext.createGain();
+        this.output = audioContext.createGain();
+
+        // Modulating a short delay bends the pitch slightly up and down
+        this.delay = audioContext.createDelay(0.05);
+        this.delay.delayTime.value = 0.005;
+        this.input.connect(this.delay);
+        this.delay.connect(this.output);
+
+        this.wow = audioContext.createOscillator();
+        this.wow.frequency.value = 0.55;
+        this.wowDepth = audioContext.createGain();
+        this.wowDepth.gain.value = 0;
+        this.wow.connect(this.wowDepth);
+        this.wowDepth.connect(this.delay.delayTime);
+
+        this.flutter = audioContext.createOscillator();
+        this.flutter.frequency.value = 6.5;
+        this.flutterDepth = audioContext.createGain();
+        this.flutterDepth.gain.value = 0;
+        this.flutter.connect(this.flutterDepth);
+        this.flutterDepth.connect(this.delay.delayTime);
+
+        this.noise = audioContext.createBufferSource();
+        this.noise.buffer = createSurfaceNoiseBuffer(audioContext);
+        this.noise.loop = true;
+        this.noiseGain = audioContext.createGain();
+        this.noiseGain.gain.value = 0;
+        this.noise.connect(this.noiseGain);
+        this.noiseGain.connect(this.output);
+
+        this.wow.start();
+        this.flutter.start();
+        this.noise.start();
+    }
+
+    apply(settings) {
+        this.settings = { ...this.settings, ...settings };
+        const now = this.audioContext.currentTime;
+        const { enabled } = this.settings;
+        this.wowDepth.gain.setTargetAtTime(enabled ? 0.0008 : 0, now, 0.05);
+        this.flutterDepth.gain.setTargetAtTime(enabled ? 0.00008 : 0, now, 0.05);
+        this.updateNoiseLevel();
+    }
+
+    // Surface noise is only heard while the record is actually spinning
+    setNeedleDown(down) {
+        this.needleDown = down;
+        this.updateNoiseLevel();
+    }
+
+    updateNoiseLevel() {
+        const { enabled, crackle } = this.settings;
+        const level = enabled && this.needleDown ? Math.max(0, Math.min(1, crackle)) * 0.6 : 0;
+        this.noiseGain.gain.setTargetAtTime(level, this.audioContext.currentTime, 0.08);
+    }
+}
+
+// Pitch shift in semitones without changing speed. The worklet loads in the
+// background; until then (or where worklets aren't supported) audio passes straight through.
+export class PitchShifter {
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+        this.ratio = 1;
+        this.node = null;
+
+        this.input = audioContext.createGain();
+        this.output = audioContext.createGain();
+        this.input.connect(this.output);
+
+        if (audioContext.audioWorklet && window.AudioWorkletNode) {
+            audioContext.audioWorklet.addModule('pitch-shift-processor.js').then(() => {
+                this.node = new AudioWorkletNode(audioContext, 'pitch-shift-processor', {
+                    outputChannelCount: [2],
+                    channelCount: 2,
+                    channelCountMode: 'explicit'
+                });
+                this.node.parameters.get('pitchRatio').value = this.ratio;
+                this.input.disconnect(this.output);
+                this.input.connect(this.node);
+                this.node.connect(this.output);
+            }).catch(err => console.warn('Pitch shifting unavailable:', err));
+        }
+    }
+
+    setRatio(ratio) {
+        this.ratio = Math.max(0.25, Math.min(4, ratio));
+        if (this.node) {
+            this.node.parameters.get('pitchRatio').value = this.ratio;
+        }
+    }
+}
+
+export const semitonesToRatio = (semitones) => Math.pow(2, semitones / 12);
@@ -20,7 +20,8 @@ export default class ContextMenu {
         this.menu.addEventListener('contextmenu', (e) => e.preventDefault());
     }
 
-    show(x, y, songData) {
+    // playlistId: the playlist the song was right-clicked in, if any
+    show(x, y, songData, playlistId = null) {
         this.menu.innerHTML = `
             <div class="context-menu-item" data-action="edit">
                 <i class="fas fa-edit"></i>
@@ -30,10 +31,23 @@ export default class ContextMenu {
                 <i class="fas fa-folder-plus"></i>
                 Add to Playlist
             </div>
+            ${playlistId ? `
+            <div class="context-menu-item" data-action="remove-from-playlist">
+                <i class="fas fa-folder-minus"></i>
+                Remove from Playlist
+            </div>` : ''}
+            <div class="context-menu-item" data-action="play-next">
+                <i class="fas fa-level-up-alt"></i>
+                Play Next
+            </div>
             <div class="context-menu-item" data-action="queue">
                 <i class="fas fa-list"></i>
                 Add to Queue
             </div>
+            <div class="context-menu-item" data-action="export">
+                <i class="fas fa-download"></i>
+                Export Song
+            </div>
             <div class="context-menu-separator"></div>
             <div class="context-menu-item delete" data-action="delete">
                 <i class="fas fa-trash"></i>
@@ -62,7 +76,7 @@ export default class ContextMenu {
         this.menu.querySelectorAll('.context-menu-item').forEach(item => {
             item.addEventListener('click', () => {
                 const action = item.dataset.action;
-                this.handleAction(action, songData);
+                this.handleAction(action, songData, playlistId);
                 this.hide();
             });
         });
@@ -76,24 +90,41 @@ export default class ContextMenu {
         return document.querySelector('.edit-dialog') !== null;
     }
 
-    async handleAction(action, songData) {
+    async handleAction(action, songData, playlistId = null) {
         switch (action) {
-            case 'queue':
-                // TODO: Implement queue functionality
-                console.log('Add to queue:', songData);
+            case 'play-next':
+            case 'queue': {
+                try {
+                    if (action === 'play-next') {
+                        await window.playNext(songData.id);
+                    } else {
+                        await window.addToQueue(songData.id);
+                    }
+                    await window.renderSongs();
+                    if (window.errorHandler) {
+                        const where = action === 'play-next' ? 'will play next' : 'added to queue';
+                        window.errorHandler.showSuccess(`"${songData.title || 'Song'}" ${where}.`, {
+                            duration: 2500
+                        });
+                    }
+                } catch (err) {
+                    console.error('Add to queue failed', err);
+                }
                 break;
+            }
             case 'add-to-playlist': {
                 try {
                     // Simple prompt for target playlist or create new
                     const choice = prompt('Enter existing Playlist ID, or leave empty to create a new playlist.');
                     if (choice === null) return;
-                    let playlistId = choice.trim();
-                    if (!playlistId) {
+                    let targetId = choice.trim();
+                    if (!targetId) {
                         const name = prompt('New playlist name:', '');
                         const pl = await window.createPlaylist({ name: name || null });
-                        playlistId = pl.id;
+                        targetId = pl.id;
                     }
-                    await window.moveSongToPlaylist(songData.id, playlistId || null);
+                    // The song stays in any playlists it's already in
+                    await window.addSongToPlaylist(songData.id, targetId);
                     await window.renderSongs();
                 } catch (err) {
                     console.error('Add to playlist failed', err);
@@ -101,6 +132,41 @@ export default class ContextMenu {
                 break;
             }
 
+            case 'remove-from-playlist': {
+                try {
+                    await window.removeSongFromPlaylist(songData.id, playlistId);
+                    await window.cleanupEmptyPlaylists();
+                } catch (err) {
+                    console.error('Remove from playlist failed', err);
+                }
+                break;
+            }
+
+            case 'export': {
+                try {
+                    const format = await window.exportSong(songData.id);
+                    if (!window.errorHandler) break;
+                    if (format) {
+                        window.errorHandler.showSuccess(`"${songData.title || 'Song'}" exported with ${format} tags.`, {
+                            duration: 2500
+                        });
+                    } else {
+                        window.errorHandler.showWarning('Tags can only be written to MP3, FLAC and M4A files. The original file was exported.', {
+                            duration: 4000
+                        });
+                    }
+                } catch (err) {
+                    console.error('Export failed', err);
+                    if (window.errorHandler) {
+                        window.errorHandler.showError('Failed to export song. Please try again.', {
+                            title: 'Export Failed',
+                            duration: 5000
+                        });
+                    }
+                }
+                break;
+            }
+
             case 'edit':
                 this.showEditDialog(songData);
                 break;
@@ -259,9 +325,8 @@ export default class ContextMenu {
 
         newConfirmBtn.addEventListener('click', async () => {
             try {
-                const tx = window.db.transaction(['audio'], 'readwrite');
-                const store = tx.objectStore('audio');
-                await store.delete(songData.id);
+                // Removes the song's audio file along with it
+                await window.deleteSong(songData.id);
                 
                 // Refresh the songs list
                 await window.cleanupEmptyPlaylists();
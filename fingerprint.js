@@ -0,0 +1,173 @@
+// Audio fingerprints for spotting the same recording in different files
+// (re-encodes, a YouTube rip next to a local copy). Follows Haitsma & Kalker:
+// one 32-bit word per frame, each bit the sign of an energy difference
+// between neighbouring bands and consecutive frames.
+
+// Bump when the algorithm changes so stored fingerprints get recomputed
+export const FINGERPRINT_VERSION = 1;
+
+// Only 300-2000 Hz is used, so the lowest rate every browser decodes at keeps the work small
+const SAMPLE_RATE = 8000;
+const FRAME_SIZE = 2048; // 256 ms
+const HOP_SIZE = 256;    // 32 ms
+const BAND_COUNT = 33;
+const MIN_FREQUENCY = 300;
+const MAX_FREQUENCY = 2000;
+// The first minute is enough to tell recordings apart
+const MAX_SECONDS = 60;
+// Leading silence differs between rips; look this far either way for the best alignment
+const MAX_SHIFT_SECONDS = 4;
+
+const yieldToBrowser = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// Twiddle factors for FRAME_SIZE, computed once
+const COS_TABLE = new Float64Array(FRAME_SIZE / 2);
+const SIN_TABLE = new Float64Array(FRAME_SIZE / 2);
+for (let k = 0; k < FRAME_SIZE / 2; k++) {
+    COS_TABLE[k] = Math.cos(-2 * Math.PI * k / FRAME_SIZE);
+    SIN_TABLE[k] = Math.sin(-2 * Math.PI * k / FRAME_SIZE);
+}
+
+// In-place radix-2 FFT of FRAME_SIZE points
+function fft(re, im) {
+    const n = re.length;
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            let t = re[i]; re[i] = re[j]; re[j] = t;
+            t = im[i]; im[i] = im[j]; im[j] = t;
+        }
+    }
+    for (let size = 2; size <= n; size <<= 1) {
+        const half = size >> 1;
+        const tableStep = n / size;
+        for (let start = 0; start < n; start += size) {
+            for (let k = 0; k < half; k++) {
+                const cos = COS_TABLE[k * tableStep];
+                const sin = SIN_TABLE[k * tableStep];
+                const a = start + k;
+                const b = a + half;
+                const tRe = re[b] * cos - im[b] * sin;
+                const tIm = re[b] * sin + im[b] * cos;
+                re[b] = re[a] - tRe;
+                im[b] = im[a] - tIm;
+                re[a] += tRe;
+                im[a] += tIm;
+            }
+        }
+    }
+}
+
+// FFT bin edges of the logarithmically spaced bands
+function getBandEdges(sampleRate) {
+    const edges = [];
+    const ratio = MAX_FREQUENCY / MIN_FREQUENCY;
+    for (let i = 0; i <= BAND_COUNT; i++) {
+        const frequency = MIN_FREQUENCY * Math.pow(ratio, i / BAND_COUNT);
+        edges.push(Math.round(frequency * FRAME_SIZE / sampleRate));
+    }
+    return edges;
+}
+
+// Mono samples in, one Uint32 per frame out
+export async function computeFingerprint(samples, sampleRate) {
+    const length = Math.min(samples.length, Math.round(MAX_SECONDS * sampleRate));
+    const frameCount = Math.max(0, Math.floor((length - FRAME_SIZE) / HOP_SIZE) + 1);
+    const fingerprint = new Uint32Array(Math.max(0, frameCount - 1));
+    const edges = getBandEdges(sampleRate);
+    const window = new Float32Array(FRAME_SIZE);
+    for (let i = 0; i < FRAME_SIZE; i++) {
+        window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (FRAME_SIZE - 1));
+    }
+
+    const re = new Float64Array(FRAME_SIZE);
+    const im = new Float64Array(FRAME_SIZE);
+    let previous = null;
+
+    for (let frame = 0; frame < frameCount; frame++) {
+        const offset = frame * HOP_SIZE;
+        for (let i = 0; i < FRAME_SIZE; i++) {
+            re[i] = samples[offset + i] * window[i];
+            im[i] = 0;
+        }
+        fft(re, im);
+
+        const energy = new Float64Array(BAND_COUNT);
+        for (let band = 0; band < BAND_COUNT; band++) {
+            for (let bin = edges[band]; bin < edges[band + 1]; bin++) {
+                energy[band] += re[bin] * re[bin] + im[bin] * im[bin];
+            }
+        }
+
+        if (previous) {
+            let word = 0;
+            for (let band = 0; band < BAND_COUNT - 1; band++) {
+                const difference = (energy[band] - energy[band + 1]) - (previous[band] - previous[band + 1]);
+                if (difference > 0) word |= 1 << band;
+            }
+            fingerprint[frame - 1] = word >>> 0;
+        }
+        previous = energy;
+
+        if (frame % 500 === 499) {
+            await yieldToBrowser();
+        }
+    }
+    return fingerprint;
+}
+
+// Decode a stored file at the fingerprint rate and fingerprint it.
+// Returns { fingerprint, duration }.
+export async function analyzeFileFingerprint(file) {
+    const arrayBuffer = await file.arrayBuffer();
+    const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    const decoder = new OfflineContext(1, 1, SAMPLE_RATE);
+    const audioBuffer = await decoder.decodeAudioData(arrayBuffer);
+
+    const mono = new Float32Array(audioBuffer.length);
+    for (let ch = 0; ch < audioBuffer.numberOfChannels; ch++) {
+        const data = audioBuffer.getChannelData(ch);
+        for (let i = 0; i < mono.length; i++) mono[i] += data[i] / audioBuffer.numberOfChannels;
+    }
+
+    return {
+        fingerprint: await computeFingerprint(mono, audioBuffer.sampleRate),
+        duration: audioBuffer.duration
+    };
+}
+
+function countBits(value) {
+    value -= (value >>> 1) & 0x55555555;
+    value = (value & 0x33333333) + ((value >>> 2) & 0x33333333);
+    return (((value + (value >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+// Share of matching bits (0-1) at the best alignment; 0.5 is chance, re-encodes score above 0.8.
+// A step above 1 only checks every step-th word: a rough estimate at a fraction of the cost.
+export function compareFingerprints(a, b, step = 1) {
+    if (!a || !b || a.length === 0 || b.length === 0) return 0;
+    const maxShift = Math.round(MAX_SHIFT_SECONDS * SAMPLE_RATE / HOP_SIZE);
+    // Ignore alignments that overlap less than 10 seconds
+    const minOverlap = Math.min(a.length, b.length, Math.round(10 * SAMPLE_RATE / HOP_SIZE));
+    const bitsPerWord = BAND_COUNT - 1;
+    let best = 0;
+
+    for (let shift = -maxShift; shift <= maxShift; shift++) {
+        const startA = Math.max(0, shift);
+        const startB = Math.max(0, -shift);
+        const overlap = Math.min(a.length - startA, b.length - startB);
+        if (overlap < minOverlap) continue;
+
+        let errors = 0;
+        let compared = 0;
+        for (let i = 0; i < overlap; i += step) {
+            errors += countBits(a[startA + i] ^ b[startB + i]);
+            compared++;
+        }
+        const similarity = 1 - errors / (compared * bitsPerWord);
+        if (similarity > best) best = similarity;
+    }
+    return best;
+}
@@ -0,0 +1,414 @@
+// ID3v2.2 / 2.3 / 2.4 tag reader.
+// parseId3v2(bytes) returns null when the data doesn't start with an ID3v2 tag.
+
+// ID3v1 genre list (0–79) plus the Winamp extensions (80–125), used by "(17)"-style TCON values
+export const GENRES = [
+    'Blues', 'Classic Rock', 'Country', 'Dance', 'Disco', 'Funk', 'Grunge', 'Hip-Hop', 'Jazz', 'Metal',
+    'New Age', 'Oldies', 'Other', 'Pop', 'R&B', 'Rap', 'Reggae', 'Rock', 'Techno', 'Industrial',
+    'Alternative', 'Ska', 'Death Metal', 'Pranks', 'Soundtrack', 'Euro-Techno', 'Ambient', 'Trip-Hop', 'Vocal', 'Jazz+Funk',
+    'Fusion', 'Trance', 'Classical', 'Instrumental', 'Acid', 'House', 'Game', 'Sound Clip', 'Gospel', 'Noise',
+    'AlternRock', 'Bass', 'Soul', 'Punk', 'Space', 'Meditative', 'Instrumental Pop', 'Instrumental Rock', 'Ethnic', 'Gothic',
+    'Darkwave', 'Techno-Industrial', 'Electronic', 'Pop-Folk', 'Eurodance', 'Dream', 'Southern Rock', 'Comedy', 'Cult', 'Gangsta',
+    'Top 40', 'Christian Rap', 'Pop/Funk', 'Jungle', 'Native American', 'Cabaret', 'New Wave', 'Psychadelic', 'Rave', 'Showtunes',
+    'Trailer', 'Lo-Fi', 'Tribal', 'Acid Punk', 'Acid Jazz', 'Polka', 'Retro', 'Musical', 'Rock & Roll', 'Hard Rock',
+    'Folk', 'Folk-Rock', 'National Folk', 'Swing', 'Fast Fusion', 'Bebob', 'Latin', 'Revival', 'Celtic', 'Bluegrass',
+    'Avantgarde', 'Gothic Rock', 'Progressive Rock', 'Psychedelic Rock', 'Symphonic Rock', 'Slow Rock', 'Big Band', 'Chorus', 'Easy Listening', 'Acoustic',
+    'Humour', 'Speech', 'Chanson', 'Opera', 'Chamber Music', 'Sonata', 'Symphony', 'Booty Bass', 'Primus', 'Porn Groove',
+    'Satire', 'Slow Jam', 'Club', 'Tango', 'Samba', 'Folklore', 'Ballad', 'Power Ballad', 'Rhythmic Soul', 'Freestyle',
+    'Duet', 'Punk Rock', 'Drum Solo', 'A capella', 'Euro-House', 'Dance Hall'
+];
+
+export const PICTURE_TYPES = [
+    'Other', 'File icon', 'Other file icon', 'Front cover', 'Back cover', 'Leaflet page', 'Media', 'Lead artist',
+    'Artist', 'Conductor', 'Band', 'Composer', 'Lyricist', 'Recording location', 'During recording', 'During performance',
+    'Video screen capture', 'Bright coloured fish', 'Illustration', 'Band logotype', 'Publisher logotype'
+];
+
+// v2.2 used three-letter frame IDs; map the ones we read to their v2.3+ names
+const V22_FRAME_IDS = {
+    TT2: 'TIT2', TP1: 'TPE1', TP2: 'TPE2', TAL: 'TALB', TRK: 'TRCK', TPA: 'TPOS', TYE: 'TYER',
+    TCO: 'TCON', TCM: 'TCOM', TBP: 'TBPM', COM: 'COMM', ULT: 'USLT', SLT: 'SYLT', PIC: 'APIC', TXX: 'TXXX'
+};
+
+// Shape shared by every tag reader (see tag-readers.js)
+export function createEmptyTag(format) {
+    return {
+        format,
+        title: null,
+        artist: null,
+        album: null,
+        albumArtist: null,
+        trackNumber: null,
+        trackTotal: null,
+        discNumber: null,
+        discTotal: null,
+        year: null,
+        genre: null,
+        composer: null,
+        bpm: null,
+        comment: null,
+        comments: [],
+        lyrics: null,
+        unsyncedLyrics: [],
+        syncedLyrics: [],
+        pictures: [],
+        userText: {}
+    };
+}
+
+const TEXT_ENCODINGS = ['latin1', 'utf-16', 'utf-16be', 'utf-8'];
+
+const readSyncsafe = (bytes, offset) =>
+    ((bytes[offset] & 0x7f) << 21) | ((bytes[offset + 1] & 0x7f) << 14) |
+    ((bytes[offset + 2] & 0x7f) << 7) | (bytes[offset + 3] & 0x7f);
+
+const readUint32 = (bytes, offset) =>
+    ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+
+const readUint24 = (bytes, offset) =>
+    (bytes[offset] << 16) | (bytes[offset + 1] << 8) | bytes[offset + 2];
+
+// Undo unsynchronisation: every 0xFF 0x00 pair was written for a plain 0xFF
+function removeUnsynchronisation(bytes) {
+    const out = new Uint8Array(bytes.length);
+    let length = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        out[length++] = bytes[i];
+        if (bytes[i] === 0xff && bytes[i + 1] === 0x00) i++;
+    }
+    return out.subarray(0, length);
+}
+
+function decodeText(bytes, encoding) {
+    let data = bytes;
+    let label = TEXT_ENCODINGS[encoding] || 'latin1';
+    if (encoding === 1) {
+        // UTF-16 with BOM; without one assume little-endian
+        if (data[0] === 0xfe && data[1] === 0xff) {
+            label = 'utf-16be';
+            data = data.subarray(2);
+        } else if (data[0] === 0xff && data[1] === 0xfe) {
+            label = 'utf-16le';
+            data = data.subarray(2);
+        } else {
+            label = 'utf-16le';
+        }
+    }
+    return new TextDecoder(label).decode(data);
+}
+
+// Index just past a string terminator (two zero bytes, aligned, for UTF-16)
+function findTerminator(bytes, start, encoding) {
+    if (encoding === 1 || encoding === 2) {
+        for (let i = start; i + 1 < bytes.length; i += 2) {
+            if (bytes[i] === 0 && bytes[i + 1] === 0) return { end: i, next: i + 2 };
+        }
+    } else {
+        for (let i = start; i < bytes.length; i++) {
+            if (bytes[i] === 0) return { end: i, next: i + 1 };
+        }
+    }
+    return { end: bytes.length, next: bytes.length };
+}
+
+function readTerminatedString(bytes, start, encoding) {
+    const { end, next } = findTerminator(bytes, start, encoding);
+    return { text: decodeText(bytes.subarray(start, end), encoding), next };
+}
+
+// Text frames: v2.4 allows several null-separated values
+function readTextFrame(data) {
+    const encoding = data[0];
+    const values = [];
+    let offset = 1;
+    while (offset < data.length) {
+        const { text, next } = readTerminatedString(data, offset, encoding);
+        if (text) values.push(text);
+        offset = next;
+    }
+    return values.map(v => v.replace(/\0/g, '').trim()).filter(Boolean);
+}
+
+// COMM and USLT share a layout: encoding, language, description, text
+function readLanguageTextFrame(data) {
+    const encoding = data[0];
+    const language = new TextDecoder('latin1').decode(data.subarray(1, 4));
+    const description = readTerminatedString(data, 4, encoding);
+    const text = decodeText(data.subarray(description.next), encoding).replace(/\0+$/, '');
+    return { language, description: description.text, text };
+}
+
+function readSyncedLyricsFrame(data) {
+    const encoding = data[0];
+    const language = new TextDecoder('latin1').decode(data.subarray(1, 4));
+    // 1 = MPEG frames, 2 = milliseconds
+    const timestampFormat = data[4] === 1 ? 'mpeg-frames' : 'milliseconds';
+    const contentType = data[5];
+    const description = readTerminatedString(data, 6, encoding);
+    const lines = [];
+    let offset = description.next;
+    while (offset < data.length) {
+        const line = readTerminatedString(data, offset, encoding);
+        if (line.next + 4 > data.length) break;
+        lines.push({ time: readUint32(data, line.next), text: line.text.replace(/^\n/, '') });
+        offset = line.next + 4;
+    }
+    return { language, description: description.text, timestampFormat, contentType, lines };
+}
+
+// Sniff the image format when the tag's MIME type is missing or vague
+function detectImageMime(bytes) {
+    if (bytes[0] === 0xff && bytes[1] === 0xd8) return 'image/jpeg';
+    if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47) return 'image/png';
+    if (bytes[0] === 0x47 && bytes[1] === 0x49 && bytes[2] === 0x46) return 'image/gif';
+    if (bytes[0] === 0x42 && bytes[1] === 0x4d) return 'image/bmp';
+    if (bytes[8] === 0x57 && bytes[9] === 0x45 && bytes[10] === 0x42 && bytes[11] === 0x50) return 'image/webp';
+    return null;
+}
+
+export function normalizeImageMime(mime, bytes) {
+    const value = (mime || '').trim().toLowerCase();
+    const aliases = { jpg: 'image/jpeg', jpeg: 'image/jpeg', 'image/jpg': 'image/jpeg', png: 'image/png', gif: 'image/gif', bmp: 'image/bmp' };
+    if (aliases[value]) return aliases[value];
+    if (/^image\/[a-z0-9.+-]+$/.test(value)) return value;
+    return detectImageMime(bytes) || 'image/jpeg';
+}
+
+function readPictureFrame(data, isV22) {
+    const encoding = data[0];
+    let mimeType;
+    let offset;
+    if (isV22) {
+        // Three-letter image format instead of a MIME type
+        mimeType = new TextDecoder('latin1').decode(data.subarray(1, 4));
+        offset = 4;
+    } else {
+        const mime = readTerminatedString(data, 1, 0);
+        mimeType = mime.text;
+        offset = mime.next;
+    }
+    const type = data[offset];
+    const description = readTerminatedString(data, offset + 1, encoding);
+    const imageData = data.slice(description.next);
+    if (mimeType === '-->') return null; // linked image, not embedded
+    return {
+        type,
+        typeName: PICTURE_TYPES[type] || 'Other',
+        mimeType: normalizeImageMime(mimeType, imageData),
+        description: description.text,
+        data: imageData
+    };
+}
+
+// "(17)", "(17)Rock", "17", "(RX)" or plain text
+export function parseGenre(value) {
+    const names = [];
+    let rest = value;
+    let match;
+    while ((match = rest.match(/^\((\d+|RX|CR)\)/))) {
+        const ref = match[1];
+        if (ref === 'RX') names.push('Remix');
+        else if (ref === 'CR') names.push('Cover');
+        else if (GENRES[Number(ref)]) names.push(GENRES[Number(ref)]);
+        rest = rest.slice(match[0].length);
+    }
+    rest = rest.replace(/^\(\(/, '(').trim();
+    if (rest) {
+        names.push(/^\d+$/.test(rest) && GENRES[Number(rest)] ? GENRES[Number(rest)] : rest);
+    }
+    return names;
+}
+
+// "3/12" -> { number: 3, total: 12 }
+export function parsePosition(value) {
+    const [number, total] = String(value).split('/').map(part => parseInt(part, 10));
+    return {
+        number: Number.isFinite(number) ? number : null,
+        total: Number.isFinite(total) ? total : null
+    };
+}
+
+// Walk the frames of the tag body, yielding { id, data }
+function* readFrames(body, version, tagUnsynchronised) {
+    const headerSize = version === 2 ? 6 : 10;
+    const idLength = version === 2 ? 3 : 4;
+    let offset = 0;
+
+    while (offset + headerSize <= body.length) {
+        // Padding
+        if (body[offset] === 0) break;
+        const rawId = String.fromCharCode(...body.subarray(offset, offset + idLength));
+        if (!/^[A-Z0-9]+$/.test(rawId)) break;
+
+        let size;
+        if (version === 2) {
+            size = readUint24(body, offset + 3);
+        } else if (version === 4) {
+            size = readSyncsafe(body, offset + 4);
+            // Some taggers write plain sizes in v2.4; trust whichever lands on a frame
+            const plain = readUint32(body, offset + 4);
+            if (plain !== size && !looksLikeFrameAt(body, offset + 10 + size) && looksLikeFrameAt(body, offset + 10 + plain)) {
+                size = plain;
+            }
+        } else {
+            size = readUint32(body, offset + 4);
+        }
+
+        const dataStart = offset + headerSize;
+        const dataEnd = dataStart + size;
+        if (size <= 0 || dataEnd > body.length) break;
+        let data = body.subarray(dataStart, dataEnd);
+        offset = dataEnd;
+
+        if (version === 3) {
+            const flags = body[dataStart - 1];
+            // Compressed or encrypted frames can't be read without more context
+            if (flags & 0xc0) continue;
+            // Group identifier byte
+            if (flags & 0x20) data = data.subarray(1);
+        } else if (version === 4) {
+            const flags = body[dataStart - 1];
+            if (flags & 0x0c) continue;
+            if (flags & 0x40) data = data.subarray(1);
+            if (flags & 0x01) data = data.subarray(4); // data length indicator
+            if ((flags & 0x02) || tagUnsynchronised) data = removeUnsynchronisation(data);
+        }
+
+        yield { id: version === 2 ? (V22_FRAME_IDS[rawId] || rawId) : rawId, data };
+    }
+}
+
+function looksLikeFrameAt(bytes, offset) {
+    if (offset === bytes.length) return true;
+    if (offset + 4 > bytes.length) return false;
+    if (bytes[offset] === 0) return true; // padding
+    return /^[A-Z0-9]{4}$/.test(String.fromCharCode(...bytes.subarray(offset, offset + 4)));
+}
+
+// Total bytes the tag occupies at the start of the file (header, body, footer), or 0
+export function getId3v2Size(bytes) {
+    if (bytes.length < 10 || bytes[0] !== 0x49 || bytes[1] !== 0x44 || bytes[2] !== 0x33) return 0;
+    const hasFooter = bytes[3] === 4 && (bytes[5] & 0x10);
+    return 10 + readSyncsafe(bytes, 6) + (hasFooter ? 10 : 0);
+}
+
+// Header plus the decoded frames, shared by the parser and the tag writer
+export function readId3v2Frames(bytes) {
+    if (bytes.length < 10 || bytes[0] !== 0x49 || bytes[1] !== 0x44 || bytes[2] !== 0x33) return null;
+    const version = bytes[3];
+    if (version < 2 || version > 4) return null;
+    const flags = bytes[5];
+    const size = readSyncsafe(bytes, 6);
+
+    let body = bytes.subarray(10, Math.min(bytes.length, 10 + size));
+    const unsynchronised = !!(flags & 0x80);
+
+    // Before v2.4 unsynchronisation covers the whole tag, frame headers included
+    if (unsynchronised && version < 4) {
+        body = removeUnsynchronisation(body);
+    }
+    // v2.2 used this flag for (undefined) compression: nothing we can read
+    if (version === 2 && (flags & 0x40)) return null;
+
+    if (version === 3 && (flags & 0x40)) {
+        body = body.subarray(4 + readUint32(body, 0));
+    } else if (version === 4 && (flags & 0x40)) {
+        body = body.subarray(readSyncsafe(body, 0));
+    }
+
+    return {
+        version,
+        revision: bytes[4],
+        frames: [...readFrames(body, version, unsynchronised && version === 4)]
+    };
+}
+
+// TXXX: encoding, description, value
+export function readUserTextFrame(data) {
+    const encoding = data[0];
+    const description = readTerminatedString(data, 1, encoding);
+    const value = decodeText(data.subarray(description.next), encoding).replace(/\0/g, '').trim();
+    return { description: description.text, value };
+}
+
+export function parseId3v2(bytes) {
+    const header = readId3v2Frames(bytes);
+    if (!header) return null;
+    const { version, revision, frames } = header;
+
+    const tag = createEmptyTag(`ID3v2.${version}.${revision}`);
+    const first = (values) => values[0] || null;
+
+    for (const { id, data } of frames) {
+        if (data.length === 0) continue;
+        switch (id) {
+            case 'TIT2': tag.title = first(readTextFrame(data)); break;
+            case 'TPE1': tag.artist = readTextFrame(data).join(', ') || null; break;
+            case 'TALB': tag.album = first(readTextFrame(data)); break;
+            case 'TPE2': tag.albumArtist = first(readTextFrame(data)); break;
+            case 'TCOM': tag.composer = readTextFrame(data).join(', ') || null; break;
+            case 'TRCK': {
+                const { number, total } = parsePosition(first(readTextFrame(data)) || '');
+                tag.trackNumber = number;
+                tag.trackTotal = total;
+                break;
+            }
+            case 'TPOS': {
+                const { number, total } = parsePosition(first(readTextFrame(data)) || '');
+                tag.discNumber = number;
+                tag.discTotal = total;
+                break;
+            }
+            // v2.4 recording time ("2019-05-01T..."), v2.3 year
+            case 'TDRC':
+            case 'TYER': {
+                const year = parseInt(first(readTextFrame(data)) || '', 10);
+                if (Number.isFinite(year) && (!tag.year || id === 'TDRC')) tag.year = year;
+                break;
+            }
+            case 'TCON': {
+                const genres = readTextFrame(data).flatMap(parseGenre);
+                tag.genre = genres.length ? genres.join(', ') : null;
+                break;
+            }
+            case 'TBPM': {
+                const bpm = parseFloat(first(readTextFrame(data)) || '');
+                tag.bpm = Number.isFinite(bpm) ? Math.round(bpm) : null;
+                break;
+            }
+            case 'COMM':
+                tag.comments.push(readLanguageTextFrame(data));
+                break;
+            case 'USLT': {
+                const lyrics = readLanguageTextFrame(data);
+                tag.unsyncedLyrics.push(lyrics);
+                if (!tag.lyrics && lyrics.text) tag.lyrics = lyrics.text;
+                break;
+            }
+            case 'SYLT':
+                tag.syncedLyrics.push(readSyncedLyricsFrame(data));
+                break;
+            case 'APIC': {
+                const picture = readPictureFrame(data, version === 2);
+                if (picture && picture.data.length) tag.pictures.push(picture);
+                break;
+            }
+            case 'TXXX': {
+                const { description, value } = readUserTextFrame(data);
+                if (description) tag.userText[description] = value;
+                break;
+            }
+        }
+    }
+
+    // Prefer the comment without a description (iTunes keeps its own data in described ones)
+    const comment = tag.comments.find(c => !c.description && c.text) || tag.comments.find(c => c.text);
+    tag.comment = comment ? comment.text : null;
+
+    return tag;
+}
+
+// The front cover if there is one, otherwise the first picture
+export function pickCoverPicture(pictures) {
+    return pictures.find(p => p.type === 3) || pictures[0] || null;
+}
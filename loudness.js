@@ -0,0 +1,143 @@
+// Loudness measurement (ITU-R BS.1770 / EBU R128) and ReplayGain helpers
+
+// ReplayGain 2.0 plays everything back as if it measured -18 LUFS
+export const REFERENCE_LOUDNESS = -18;
+
+const ABSOLUTE_GATE = -70;
+const RELATIVE_GATE = -10;
+
+// K-weighting: a high shelf (head effect) followed by a high pass (RLB curve).
+// Coefficients are derived for the buffer's sample rate.
+function getKWeightingCoefficients(sampleRate) {
+    let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+    let Q = 0.7071752369554196;
+    const Vh = Math.pow(10, 3.999843853973347 / 20);
+    const Vb = Math.pow(Vh, 0.4996667741545416);
+    let a0 = 1 + K / Q + K * K;
+    const shelf = {
+        b0: (Vh + Vb * K / Q + K * K) / a0,
+        b1: 2 * (K * K - Vh) / a0,
+        b2: (Vh - Vb * K / Q + K * K) / a0,
+        a1: 2 * (K * K - 1) / a0,
+        a2: (1 - K / Q + K * K) / a0
+    };
+
+    K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+    Q = 0.5003270373238773;
+    a0 = 1 + K / Q + K * K;
+    const highPass = {
+        b0: 1,
+        b1: -2,
+        b2: 1,
+        a1: 2 * (K * K - 1) / a0,
+        a2: (1 - K / Q + K * K) / a0
+    };
+
+    return { shelf, highPass };
+}
+
+const yieldToBrowser = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// Returns { integrated (LUFS, null for silence), peak (linear sample peak), duration (s) }
+export async function measureLoudness(audioBuffer) {
+    const { sampleRate, numberOfChannels, length } = audioBuffer;
+    const { shelf, highPass } = getKWeightingCoefficients(sampleRate);
+
+    // Mean-square energy is summed per 100 ms step; gating blocks are 4 steps (400 ms, 75% overlap)
+    const hop = Math.round(sampleRate * 0.1);
+    const hops = Math.floor(length / hop);
+    const hopEnergy = new Float64Array(hops);
+    const yieldEvery = sampleRate * 20;
+    let peak = 0;
+
+    // Front left/right (and mono) all weigh 1.0; surround channels are rare enough to ignore
+    for (let ch = 0; ch < numberOfChannels; ch++) {
+        const data = audioBuffer.getChannelData(ch);
+        let x1 = 0, x2 = 0, y1 = 0, y2 = 0; // shelf state
+        let z1 = 0, z2 = 0, w1 = 0, w2 = 0; // high-pass state
+        const usable = hops * hop;
+
+        for (let i = 0; i < length; i++) {
+            const x = data[i];
+            const abs = x < 0 ? -x : x;
+            if (abs > peak) peak = abs;
+
+            const y = shelf.b0 * x + shelf.b1 * x1 + shelf.b2 * x2 - shelf.a1 * y1 - shelf.a2 * y2;
+            x2 = x1; x1 = x; y2 = y1; y1 = y;
+            const w = highPass.b0 * y + highPass.b1 * z1 + highPass.b2 * z2 - highPass.a1 * w1 - highPass.a2 * w2;
+            z2 = z1; z1 = y; w2 = w1; w1 = w;
+
+            if (i < usable) {
+                hopEnergy[(i / hop) | 0] += w * w;
+            }
+            // Long tracks: let the UI breathe now and then
+            if (i % yieldEvery === yieldEvery - 1) {
+                await yieldToBrowser();
+            }
+        }
+    }
+
+    const blockSize = hop * 4;
+    const blocks = [];
+    for (let j = 0; j + 4 <= hops; j++) {
+        const z = (hopEnergy[j] + hopEnergy[j + 1] + hopEnergy[j + 2] + hopEnergy[j + 3]) / blockSize;
+        blocks.push(z);
+    }
+
+    const toLufs = (z) => -0.691 + 10 * Math.log10(z);
+    const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+    const aboveAbsolute = blocks.filter(z => z > 0 && toLufs(z) > ABSOLUTE_GATE);
+    let integrated = null;
+    if (aboveAbsolute.length > 0) {
+        const relativeGate = toLufs(mean(aboveAbsolute)) + RELATIVE_GATE;
+        const gated = aboveAbsolute.filter(z => toLufs(z) > relativeGate);
+        if (gated.length > 0) {
+            integrated = Math.round(toLufs(mean(gated)) * 100) / 100;
+        }
+    }
+
+    return {
+        integrated,
+        peak: Math.round(peak * 10000) / 10000,
+        duration: length / sampleRate
+    };
+}
+
+// Decode a stored file off the live graph and measure it
+export async function analyzeFileLoudness(file) {
+    const arrayBuffer = await file.arrayBuffer();
+    const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    const decoder = new OfflineContext(2, 1, 48000);
+    const audioBuffer = await decoder.decodeAudioData(arrayBuffer);
+    return measureLoudness(audioBuffer);
+}
+
+// Combined loudness of several tracks (a playlist played as an album), weighted by duration
+export function combineLoudness(measurements) {
+    const valid = measurements.filter(m => m && typeof m.integrated === 'number' && m.duration > 0);
+    if (valid.length === 0) return null;
+    const totalDuration = valid.reduce((sum, m) => sum + m.duration, 0);
+    const energy = valid.reduce((sum, m) => sum + m.duration * Math.pow(10, m.integrated / 10), 0) / totalDuration;
+    return {
+        integrated: Math.round(10 * Math.log10(energy) * 100) / 100,
+        peak: Math.max(...valid.map(m => m.peak || 0)),
+        duration: totalDuration
+    };
+}
+
+// "-6.48 dB" / "0.988" style tag values
+export function parseReplayGainValue(value) {
+    const number = parseFloat(String(value).replace(',', '.'));
+    return Number.isFinite(number) ? number : null;
+}
+
+// Linear gain for a gain in dB, held back so the peak doesn't clip
+export function getNormalizationGain(gainDb, peak) {
+    if (typeof gainDb !== 'number' || !Number.isFinite(gainDb)) return 1;
+    let gain = Math.pow(10, gainDb / 20);
+    if (peak > 0) {
+        gain = Math.min(gain, 1 / peak);
+    }
+    return gain;
+}
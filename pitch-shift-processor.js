@@ -0,0 +1,74 @@
+// AudioWorklet pitch shifter: two read heads sweep a short delay line at the
+// pitch ratio and cross-fade (Hann windows half a cycle apart) as each one wraps.
+// At a ratio of 1 the signal passes straight through.
+class PitchShiftProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [{ name: 'pitchRatio', defaultValue: 1, minValue: 0.25, maxValue: 4, automationRate: 'k-rate' }];
+    }
+
+    constructor() {
+        super();
+        this.windowSize = Math.round(sampleRate * 0.05);
+        let size = 1;
+        while (size < this.windowSize * 2) size *= 2;
+        this.bufferSize = size;
+        this.buffers = [];
+        this.writeIndex = 0;
+        this.phase = 0;
+    }
+
+    read(buffer, delay) {
+        const mask = this.bufferSize - 1;
+        const position = this.writeIndex - delay;
+        const index = Math.floor(position);
+        const frac = position - index;
+        const a = buffer[index & mask];
+        const b = buffer[(index + 1) & mask];
+        return a + (b - a) * frac;
+    }
+
+    process(inputs, outputs, parameters) {
+        const input = inputs[0];
+        const output = outputs[0];
+        const ratio = parameters.pitchRatio[0];
+        const frames = output[0].length;
+        const mask = this.bufferSize - 1;
+
+        while (this.buffers.length < output.length) {
+            this.buffers.push(new Float32Array(this.bufferSize));
+        }
+
+        // Each head's delay changes by (1 - ratio) per sample, so it reads at `ratio` speed
+        const phaseStep = (1 - ratio) / this.windowSize;
+
+        for (let i = 0; i < frames; i++) {
+            for (let ch = 0; ch < output.length; ch++) {
+                const source = input[Math.min(ch, input.length - 1)];
+                const sample = source ? source[i] : 0;
+                const buffer = this.buffers[ch];
+                buffer[this.writeIndex & mask] = sample;
+
+                if (ratio === 1) {
+                    output[ch][i] = sample;
+                    continue;
+                }
+
+                const p1 = this.phase;
+                const p2 = (this.phase + 0.5) % 1;
+                const w1 = Math.sin(Math.PI * p1) ** 2;
+                const w2 = Math.sin(Math.PI * p2) ** 2;
+                output[ch][i] = this.read(buffer, p1 * this.windowSize) * w1
+                    + this.read(buffer, p2 * this.windowSize) * w2;
+            }
+
+            this.phase += phaseStep;
+            this.phase -= Math.floor(this.phase);
+            this.writeIndex++;
+        }
+        this.writeIndex &= mask;
+
+        return true;
+    }
+}
+
+registerProcessor('pitch-shift-processor', PitchShiftProcessor);
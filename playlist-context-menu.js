@@ -15,14 +15,30 @@ export default class PlaylistContextMenu {
     }
 
     show(x, y, playlist) {
-        this.menu.innerHTML = `
+        // Smart playlists have no nested playlists and take no new ones
+        const folderItems = playlist.smart ? '' : `
+            <div class="context-menu-item" data-action="play-nested">
+                <i class="fas fa-layer-group"></i>
+                Play With Nested
+            </div>
+            <div class="context-menu-separator"></div>
             <div class="context-menu-item" data-action="new">
                 <i class="fas fa-folder-plus"></i>
                 New Playlist Inside
             </div>
+            <div class="context-menu-item" data-action="new-smart">
+                <i class="fas fa-magic"></i>
+                New Smart Playlist Inside
+            </div>`;
+        this.menu.innerHTML = `
+            <div class="context-menu-item" data-action="play">
+                <i class="fas fa-play"></i>
+                Play
+            </div>${folderItems}
+            ${playlist.smart ? '<div class="context-menu-separator"></div>' : ''}
             <div class="context-menu-item" data-action="edit">
                 <i class="fas fa-edit"></i>
-                Edit
+                ${playlist.smart ? 'Edit Rules' : 'Edit'}
             </div>
             <div class="context-menu-item" data-action="move-up">
                 <i class="fas fa-level-up-alt"></i>
@@ -58,14 +74,25 @@ export default class PlaylistContextMenu {
 
     async handleAction(action, playlist) {
         switch (action) {
+            case 'play':
+                return this.handlers.onPlay?.(playlist.id, { includeChildren: false });
+            case 'play-nested':
+                return this.handlers.onPlay?.(playlist.id, { includeChildren: true });
             case 'new':
                 return this.handlers.onCreate?.(playlist.id);
+            case 'new-smart':
+                return this.handlers.onCreateSmart?.(playlist.id);
             case 'edit':
+                if (playlist.smart) return this.handlers.onEditSmart?.(playlist);
                 return this.showEditDialog(playlist);
             case 'move-up':
                 return this.handlers.onMove?.(playlist.id, playlist.parentId ? null : null);
             case 'delete': {
-                const keep = confirm('Delete playlist only and keep songs? Press OK to keep songs, Cancel to delete songs.');
+                if (playlist.smart) {
+                    if (!confirm('Delete this smart playlist? Its songs stay in your library.')) return;
+                    return this.handlers.onDelete?.(playlist.id, { deleteSongs: false });
+                }
+                const keep = confirm('Delete playlist only and keep songs? Press OK to keep songs, Cancel to delete them from your library. Songs that are also in another playlist are kept either way.');
                 return this.handlers.onDelete?.(playlist.id, { deleteSongs: !keep });
             }
         }
@@ -0,0 +1,120 @@
+// Main-thread side of the scratch processor: decodes the current track into
+// an AudioBuffer, hands its samples to the worklet and steers its rate.
+export default class ScratchEngine {
+    constructor(audioContext, destination) {
+        this.audioContext = audioContext;
+        this.destination = destination;
+        this.node = null;
+        this.ready = null;
+        this.loadedKey = null;
+        this.loading = null;
+        this.position = 0;
+        this.rate = 0;
+        this.active = false;
+        this.onPosition = null;
+        this.settleWaiters = [];
+    }
+
+    static isSupported(audioContext) {
+        return !!(audioContext && audioContext.audioWorklet && window.AudioWorkletNode);
+    }
+
+    init() {
+        if (!this.ready) {
+            this.ready = this.audioContext.audioWorklet.addModule('scratch-processor.js').then(() => {
+                this.node = new AudioWorkletNode(this.audioContext, 'scratch-processor', {
+                    numberOfInputs: 0,
+                    outputChannelCount: [2]
+                });
+                this.node.port.onmessage = (e) => this.handleMessage(e.data);
+                this.node.connect(this.destination);
+            });
+        }
+        return this.ready;
+    }
+
+    handleMessage(message) {
+        if (message.type !== 'position') return;
+        this.position = message.seconds;
+        this.rate = message.rate;
+        if (this.active && this.onPosition) {
+            this.onPosition(this.position);
+        }
+        this.settleWaiters = this.settleWaiters.filter(waiter => !waiter.check());
+    }
+
+    isLoaded(key) {
+        return !!this.node && this.loadedKey === key;
+    }
+
+    // Decode a track once; later calls for the same key reuse it
+    async load(key, file) {
+        if (this.isLoaded(key)) return;
+        if (this.loading && this.loading.key === key) return this.loading.promise;
+
+        const promise = (async () => {
+            await this.init();
+            const arrayBuffer = await file.arrayBuffer();
+            const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
+            const channels = [];
+            for (let ch = 0; ch < audioBuffer.numberOfChannels; ch++) {
+                const data = new Float32Array(audioBuffer.length);
+                audioBuffer.copyFromChannel(data, ch);
+                channels.push(data);
+            }
+            this.node.port.postMessage(
+                { type: 'load', channels, sampleRate: audioBuffer.sampleRate },
+                channels.map(c => c.buffer)
+            );
+            this.loadedKey = key;
+        })();
+
+        this.loading = { key, promise };
+        try {
+            await promise;
+        } finally {
+            if (this.loading && this.loading.key === key) this.loading = null;
+        }
+    }
+
+    start(seconds, rate = 0) {
+        this.position = seconds;
+        this.rate = rate;
+        this.active = true;
+        this.node.port.postMessage({ type: 'start', seconds, rate });
+    }
+
+    // Follow the hand closely
+    setRate(rate) {
+        this.node.port.postMessage({ type: 'rate', rate, smoothing: 0.0015 });
+    }
+
+    // Let go: ease toward targetRate like a motor pulling the platter back up to speed.
+    // Resolves with the playing position once settled (or after timeoutMs).
+    settle(targetRate, timeoutMs = 700) {
+        this.node.port.postMessage({ type: 'rate', rate: targetRate, smoothing: 0.0002 });
+        return new Promise(resolve => {
+            const waiter = {
+                check: () => {
+                    if (Math.abs(this.rate - targetRate) > 0.02) return false;
+                    clearTimeout(waiter.timer);
+                    resolve(this.position);
+                    return true;
+                }
+            };
+            waiter.timer = setTimeout(() => {
+                this.settleWaiters = this.settleWaiters.filter(w => w !== waiter);
+                resolve(this.position);
+            }, timeoutMs);
+            this.settleWaiters.push(waiter);
+        });
+    }
+
+    stop() {
+        this.active = false;
+        if (this.node) {
+            this.node.port.postMessage({ type: 'stop' });
+        }
+        return this.position;
+    }
+}
@@ -0,0 +1,93 @@
+// AudioWorklet processor that plays a decoded track at a variable rate,
+// including backwards, so dragging the record sounds like a real scratch.
+// The playing rate eases toward the requested one like a platter with some mass.
+class ScratchProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.channels = null;
+        this.bufferSampleRate = sampleRate;
+        this.position = 0; // in buffer samples
+        this.rate = 0;
+        this.targetRate = 0;
+        this.smoothing = 0.0015; // per-sample step toward targetRate
+        this.active = false;
+        this.blocksSinceReport = 0;
+        this.port.onmessage = (e) => this.handleMessage(e.data);
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'load':
+                this.channels = message.channels;
+                this.bufferSampleRate = message.sampleRate;
+                this.active = false;
+                break;
+            case 'start':
+                this.position = message.seconds * this.bufferSampleRate;
+                this.rate = message.rate || 0;
+                this.targetRate = this.rate;
+                this.active = true;
+                break;
+            case 'rate':
+                this.targetRate = message.rate;
+                if (message.smoothing) this.smoothing = message.smoothing;
+                break;
+            case 'stop':
+                this.active = false;
+                this.reportPosition();
+                break;
+        }
+    }
+
+    reportPosition() {
+        this.port.postMessage({
+            type: 'position',
+            seconds: this.position / this.bufferSampleRate,
+            rate: this.rate
+        });
+    }
+
+    process(inputs, outputs) {
+        const output = outputs[0];
+        const frames = output[0].length;
+
+        if (!this.active || !this.channels) {
+            for (const channel of output) channel.fill(0);
+            return true;
+        }
+
+        const step = this.bufferSampleRate / sampleRate;
+        const length = this.channels[0].length;
+
+        for (let i = 0; i < frames; i++) {
+            this.rate += (this.targetRate - this.rate) * this.smoothing;
+
+            const index = Math.floor(this.position);
+            const frac = this.position - index;
+            for (let ch = 0; ch < output.length; ch++) {
+                const data = this.channels[Math.min(ch, this.channels.length - 1)];
+                const a = data[index] || 0;
+                const b = data[index + 1] || 0;
+                output[ch][i] = a + (b - a) * frac;
+            }
+
+            this.position += this.rate * step;
+            if (this.position < 0) {
+                this.position = 0;
+                this.rate = 0;
+            } else if (this.position > length - 1) {
+                this.position = length - 1;
+                this.rate = 0;
+            }
+        }
+
+        // Roughly every 20 ms
+        if (++this.blocksSinceReport >= 8) {
+            this.blocksSinceReport = 0;
+            this.reportPosition();
+        }
+        return true;
+    }
+}
+
+registerProcessor('scratch-processor', ScratchProcessor);
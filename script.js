@@ -1,11 +1,14 @@
 // Initialize IndexedDB
 const dbName = 'musicPlayerDB';
-const dbVersion = 2; // Increased version number to force upgrade
+const dbVersion = 7; // Latest version in DB_MIGRATIONS
 let db;
 
 // Audio Context and Analyzer setup
 let audioContext;
-let audioSource;
+let mixBus;
+let effectsChain;
+let vinylSimulator;
+let sleepGain;
 let analyzer;
 const FFT_SIZE = 256;
 let dataArray;
@@ -40,17 +43,19 @@ class ErrorHandler {
             return null;
         }
         
-        const finalMessage = parsedError.message || message;
-        const finalTitle = parsedError.title || title;
-
-        const toast = this.createToast({
-            title: finalTitle,
-            message: finalMessage,
+        return this.showToast({
+            title: parsedError.title || title,
+            message: parsedError.message || message,
             type: parsedError.type || type,
             duration,
             actions,
             showClose
         });
+    }
+
+    // Success and warning messages skip parseError, which only knows about errors
+    showToast({ title, message, type = 'error', duration = 8000, actions = [], showClose = true }) {
+        const toast = this.createToast({ title, message, type, duration, actions, showClose });
 
         this.container.appendChild(toast);
         this.activeToasts.add(toast);
@@ -71,7 +76,7 @@ class ErrorHandler {
     }
 
     showSuccess(message, options = {}) {
-        return this.showError(null, {
+        return this.showToast({
             title: 'Success',
             message,
             type: 'success',
@@ -81,7 +86,7 @@ class ErrorHandler {
     }
 
     showWarning(message, options = {}) {
-        return this.showError(null, {
+        return this.showToast({
             title: 'Warning',
             message,
             type: 'warning',
@@ -371,22 +376,12 @@ window.addEventListener('unhandledrejection', (event) => {
     event.preventDefault(); // Prevent the default browser behavior
 });
 
-// Helper function to extract text content from ID3v2 frames
-const getTextFrameContent = (uint8Array, start, length, encoding) => {
-    // Encoding: 0x00 = ISO-8859-1, 0x01 = UTF-16
-    let contentBytes = uint8Array.slice(start, start + length);
-    if (encoding === 0x01) {
-        // UTF-16: skip BOM if present (0xFF 0xFE or 0xFE 0xFF)
-        if (contentBytes[0] === 0xFE && contentBytes[1] === 0xFF) {
-            contentBytes = contentBytes.slice(2);
-        } else if (contentBytes[0] === 0xFF && contentBytes[1] === 0xFE) {
-            contentBytes = contentBytes.slice(2);
-        }
-        return new TextDecoder('utf-16').decode(contentBytes).replace(/\0/g, '').trim();
-    } else {
-        // Default to ISO-8859-1 (latin1) for 0x00 and other unknown encodings
-        return new TextDecoder('latin1').decode(contentBytes).replace(/\0/g, '').trim();
-    }
+// ReplayGain tag names and where they go on the audio record
+const REPLAYGAIN_TAGS = {
+    REPLAYGAIN_TRACK_GAIN: 'trackGain',
+    REPLAYGAIN_TRACK_PEAK: 'trackPeak',
+    REPLAYGAIN_ALBUM_GAIN: 'albumGain',
+    REPLAYGAIN_ALBUM_PEAK: 'albumPeak'
 };
 
 // Function to delete the database if needed
@@ -395,61 +390,379 @@ const deleteDatabase = () => {
         const deleteRequest = indexedDB.deleteDatabase(dbName);
         deleteRequest.onsuccess = () => resolve();
         deleteRequest.onerror = () => reject(deleteRequest.error);
+        deleteRequest.onblocked = () => reject(new Error('Close the player in other tabs before resetting the library.'));
     });
 };
 
+// Schema upgrades, keyed by the database version that introduced them. Opening an
+// older database runs every step above its version, in order, inside onupgradeneeded.
+// Never change a released step: add a new one and bump dbVersion to match.
+const DB_MIGRATIONS = [
+    {
+        version: 1,
+        migrate: (database) => {
+            createStoreIfMissing(database, 'audio');
+            createStoreIfMissing(database, 'settings');
+        }
+    },
+    {
+        // Playlists (supports nesting via parentId)
+        version: 2,
+        migrate: (database) => createStoreIfMissing(database, 'playlists')
+    },
+    {
+        // Play queue entries (ordered by position, reference songs by songId)
+        version: 3,
+        migrate: (database) => createStoreIfMissing(database, 'queue')
+    },
+    {
+        // Listening history (one entry per play, newest by playedAt)
+        version: 4,
+        migrate: (database) => createStoreIfMissing(database, 'history')
+    },
+    {
+        // Playlist membership (one entry per song per playlist, ordered by position)
+        version: 5,
+        migrate: (database, transaction) => {
+            if (createStoreIfMissing(database, 'playlistSongs')) return migratePlaylistIds(transaction);
+        }
+    },
+    {
+        // Audio files (one per song, keyed by song id) kept apart from the song records
+        version: 6,
+        migrate: (database, transaction) => {
+            if (createStoreIfMissing(database, 'audioFiles')) return moveAudioFiles(transaction);
+        }
+    },
+    {
+        // Lifetime playCount and lastPlayedAt on each song, seeded from the history there is
+        version: 7,
+        migrate: (database, transaction) => backfillPlayCounts(transaction)
+    }
+];
+const REQUIRED_STORES = ['audio', 'settings', 'playlists', 'queue', 'history', 'playlistSongs', 'audioFiles'];
+
+// Returns true when the store was created
+function createStoreIfMissing(database, storeName) {
+    if (database.objectStoreNames.contains(storeName)) return false;
+    database.createObjectStore(storeName, { keyPath: 'id' });
+    return true;
+}
+
+// A step that rewrites records returns a promise that settles once it's done;
+// later steps wait for it so they read what it wrote
+function runMigrations(database, transaction, oldVersion, newVersion) {
+    const steps = DB_MIGRATIONS.filter(step => step.version > oldVersion && step.version <= newVersion);
+    const runFrom = (index) => {
+        for (let i = index; i < steps.length; i++) {
+            console.log(`Migrating database to version ${steps[i].version}`);
+            const pending = steps[i].migrate(database, transaction);
+            if (pending) return pending.then(() => runFrom(i + 1));
+        }
+        return Promise.resolve();
+    };
+    return runFrom(0);
+}
+
 const initDB = async () => {
     try {
-        // First try to open the database
         const request = indexedDB.open(dbName, dbVersion);
-        
-        request.onerror = async (event) => {
-            console.error('Database error:', event.target.error);
-            // If there's an error, try to delete and recreate the database
-            await deleteDatabase();
-            // Retry database creation
-            initDB();
+
+        // Nothing is deleted here: a failed upgrade is rolled back, leaving the old data in place
+        request.onerror = () => handleDatabaseFailure(request.error);
+
+        request.onblocked = () => {
+            errorHandler.showWarning('Close the player in your other tabs so your library can be upgraded.', {
+                title: 'Library Upgrade Waiting',
+                duration: 0
+            });
         };
 
         request.onupgradeneeded = (event) => {
-            db = event.target.result;
-            window.db = db; // Make db globally accessible
-            // Create stores if they don't exist
-            if (!db.objectStoreNames.contains('audio')) {
-                db.createObjectStore('audio', { keyPath: 'id' });
-            }
-            if (!db.objectStoreNames.contains('settings')) {
-                db.createObjectStore('settings', { keyPath: 'id' });
-            }
-            // New store for playlists (supports nesting via parentId)
-            if (!db.objectStoreNames.contains('playlists')) {
-                db.createObjectStore('playlists', { keyPath: 'id' });
+            const transaction = event.target.transaction;
+            // Aborting rolls every step back; onerror reports it
+            const fail = (error) => {
+                console.error('Database migration failed:', error);
+                transaction.abort();
+            };
+            try {
+                runMigrations(event.target.result, transaction, event.oldVersion, event.newVersion).catch(fail);
+            } catch (error) {
+                fail(error);
             }
         };
 
         request.onsuccess = async (event) => {
-            db = event.target.result;
-            window.db = db; // Make db globally accessible
-            console.log('Database initialized successfully');
-            
-            // Verify stores exist
-            if (!db.objectStoreNames.contains('audio') || !db.objectStoreNames.contains('settings') || !db.objectStoreNames.contains('playlists')) {
-                console.log('Required stores missing, recreating database...');
-                db.close();
-                await deleteDatabase();
-                // Retry database creation
-                initDB();
+            const database = event.target.result;
+
+            const missing = REQUIRED_STORES.filter(name => !database.objectStoreNames.contains(name));
+            if (missing.length) {
+                database.close();
+                handleDatabaseFailure(new Error(`Missing stores: ${missing.join(', ')}`));
                 return;
             }
-            
+
+            db = database;
+            window.db = db; // Make db globally accessible
+            // Let another tab with a newer version upgrade the database
+            db.onversionchange = () => {
+                db.close();
+                errorHandler.showWarning('Your library was upgraded in another tab. Reload this page to keep using it.', {
+                    title: 'Reload Needed',
+                    duration: 0
+                });
+            };
+            console.log('Database initialized successfully');
+
+            // Restore shuffle/repeat before anything can auto-advance
+            await loadPlaybackModes();
+            await loadImportSettings();
+
             // Load last played song or first available song
             await loadInitialSong();
+
+            // Measure anything imported before loudness normalization existed
+            analyzeMissingLoudness();
         };
     } catch (error) {
         console.error('Fatal database error:', error);
+        handleDatabaseFailure(error);
     }
 };
 
+// The library couldn't be opened or upgraded. Offer a raw export first; resetting
+// is the only destructive step and is left to the user.
+function handleDatabaseFailure(error) {
+    console.error('Database error:', error);
+    const newerVersion = error && error.name === 'VersionError';
+    let exported = false;
+
+    const toast = errorHandler.showError(newerVersion
+        ? 'Your library was saved by a newer version of the player. Reload to get the latest version; nothing has been deleted.'
+        : 'Your library could not be opened or upgraded. Nothing has been deleted. Download a copy of its raw data before trying anything else.', {
+        title: newerVersion ? 'Library From a Newer Version' : 'Library Could Not Be Opened',
+        duration: 0,
+        actions: [
+            {
+                text: 'Download Raw Data',
+                primary: true,
+                action: async () => {
+                    try {
+                        await exportRawDatabase();
+                        exported = true;
+                    } catch (exportError) {
+                        console.error('Raw export failed:', exportError);
+                        errorHandler.showError('Could not export the library data.', { title: 'Export Failed' });
+                    }
+                }
+            },
+            {
+                text: 'Reset Library',
+                action: async () => {
+                    const warning = exported
+                        ? 'Delete the library and start with an empty one?'
+                        : 'You have not downloaded the raw data. Delete the library anyway and start with an empty one?';
+                    if (!confirm(warning)) return;
+                    try {
+                        await deleteDatabase();
+                        errorHandler.hideToast(toast);
+                        initDB();
+                    } catch (resetError) {
+                        console.error('Reset failed:', resetError);
+                        errorHandler.showError(resetError, { title: 'Reset Failed' });
+                    }
+                }
+            }
+        ]
+    });
+}
+
+// Records as JSON: each Blob is replaced by whatever encodeBlob(blob, key) returns and typed
+// arrays become plain arrays, both tagged with their type so decodeRecordValue can rebuild them
+async function encodeRecordValue(value, encodeBlob, key = '') {
+    if (value instanceof Blob) {
+        return { $blob: await encodeBlob(value, key), type: value.type, name: value.name, lastModified: value.lastModified };
+    }
+    if (ArrayBuffer.isView(value)) {
+        return { $typedArray: value.constructor.name, values: Array.from(value) };
+    }
+    if (Array.isArray(value)) {
+        // The index keeps files from different items of a list apart
+        return Promise.all(value.map((item, index) => encodeRecordValue(item, encodeBlob, key ? `${key}.${index}` : String(index))));
+    }
+    if (value && typeof value === 'object') {
+        const encoded = {};
+        for (const [field, item] of Object.entries(value)) {
+            encoded[field] = await encodeRecordValue(item, encodeBlob, key ? `${key}.${field}` : field);
+        }
+        return encoded;
+    }
+    return value;
+}
+
+const TYPED_ARRAYS = { Int8Array, Uint8Array, Int16Array, Uint16Array, Int32Array, Uint32Array, Float32Array, Float64Array };
+
+// decodeBlob(stored, type) returns the Blob for a $blob value; files get their name back
+async function decodeRecordValue(value, decodeBlob) {
+    if (Array.isArray(value)) {
+        return Promise.all(value.map(item => decodeRecordValue(item, decodeBlob)));
+    }
+    if (!value || typeof value !== 'object') return value;
+    if ('$blob' in value) {
+        const blob = await decodeBlob(value.$blob, value.type || '');
+        return value.name
+            ? new File([blob], value.name, { type: value.type || '', lastModified: value.lastModified || Date.now() })
+            : blob;
+    }
+    if ('$typedArray' in value) {
+        const TypedArray = TYPED_ARRAYS[value.$typedArray];
+        return TypedArray ? TypedArray.from(value.values) : value.values;
+    }
+    const decoded = {};
+    for (const [field, item] of Object.entries(value)) {
+        decoded[field] = await decodeRecordValue(item, decodeBlob);
+    }
+    return decoded;
+}
+
+// The record after afterKey (or the first one), read in its own transaction so
+// encoding it can take as long as it needs
+function readNextRecord(database, storeName, afterKey) {
+    return new Promise((resolve, reject) => {
+        const range = afterKey === undefined ? null : IDBKeyRange.lowerBound(afterKey, true);
+        const req = database.transaction([storeName], 'readonly').objectStore(storeName).openCursor(range);
+        req.onsuccess = () => resolve(req.result ? { key: req.result.key, value: req.result.value } : null);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+// Download every store, read at whatever version is on disk, as a ZIP: database.json
+// with the records, and each audio file and cover as a file of its own. Records are
+// read one at a time and files are only referenced, never read into memory.
+async function exportRawDatabase() {
+    const database = await new Promise((resolve, reject) => {
+        // No version: open what's there without upgrading it
+        const request = indexedDB.open(dbName);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    try {
+        const files = [];
+        const parts = [`{"database":${JSON.stringify(dbName)},"version":${database.version},"exportedAt":${Date.now()},"stores":{`];
+        const storeNames = Array.from(database.objectStoreNames);
+        for (const [storeIndex, storeName] of storeNames.entries()) {
+            parts.push(`${storeIndex ? ',' : ''}${JSON.stringify(storeName)}:[`);
+            let next = await readNextRecord(database, storeName);
+            for (let recordIndex = 0; next; recordIndex++) {
+                const encoded = await encodeRecordValue(next.value, async (blob, key) => {
+                    const path = `${storeName}/${getBackupPath({ id: next.key }, key, blob)}`;
+                    files.push({ path, data: blob });
+                    return path;
+                });
+                parts.push(`${recordIndex ? ',' : ''}${JSON.stringify(encoded)}`);
+                next = await readNextRecord(database, storeName, next.key);
+            }
+            parts.push(']');
+        }
+        parts.push('}}');
+        const archive = await createZip([{ path: 'database.json', data: new Blob(parts, { type: 'application/json' }) }, ...files]);
+        const date = new Date().toISOString().slice(0, 10);
+        downloadBlob(archive, `disc-player-raw-${date}.zip`);
+    } finally {
+        database.close();
+    }
+}
+
+// Songs used to sit in a single playlist through song.playlistId; turn each into a
+// membership entry, keeping the newest-first order the songs panel showed them in
+function migratePlaylistIds(transaction) {
+    const audioStore = transaction.objectStore('audio');
+    const entriesStore = transaction.objectStore('playlistSongs');
+    const songsByPlaylist = new Map();
+
+    return new Promise((resolve, reject) => {
+        const request = audioStore.openCursor();
+        request.onerror = () => reject(request.error);
+        request.onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                const song = cursor.value;
+                if (song.playlistId) {
+                    const list = songsByPlaylist.get(song.playlistId) || [];
+                    list.push({ id: song.id, createdAt: song.createdAt || 0 });
+                    songsByPlaylist.set(song.playlistId, list);
+                    delete song.playlistId;
+                    cursor.update(song);
+                }
+                cursor.continue();
+                return;
+            }
+            for (const [playlistId, songs] of songsByPlaylist) {
+                songs.sort((a, b) => b.createdAt - a.createdAt).forEach((song, position) => {
+                    entriesStore.put({
+                        id: getPlaylistEntryId(playlistId, song.id),
+                        playlistId,
+                        songId: song.id,
+                        position,
+                        addedAt: song.createdAt || Date.now()
+                    });
+                });
+            }
+            resolve();
+        };
+    });
+}
+
+// Song records used to carry their audio file, so listing songs read every file.
+// Move the files to audioFiles and keep their name, type and size on the record.
+function moveAudioFiles(transaction) {
+    const filesStore = transaction.objectStore('audioFiles');
+
+    return new Promise((resolve, reject) => {
+        const request = transaction.objectStore('audio').openCursor();
+        request.onerror = () => reject(request.error);
+        request.onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) {
+                resolve();
+                return;
+            }
+            const { file, ...song } = cursor.value;
+            if (file instanceof Blob) {
+                filesStore.put({ id: song.id, file });
+                cursor.update({ ...song, ...describeAudioFile(file) });
+            }
+            cursor.continue();
+        };
+    });
+}
+
+// History only keeps the last HISTORY_LIMIT plays, so it can't say how often a song was
+// played. Songs now count their own plays; start them off from what history remembers.
+function backfillPlayCounts(transaction) {
+    return new Promise((resolve, reject) => {
+        const historyRequest = transaction.objectStore('history').getAll();
+        historyRequest.onerror = () => reject(historyRequest.error);
+        historyRequest.onsuccess = () => {
+            const { playCounts, lastPlayed } = buildPlayStats(historyRequest.result || []);
+            const request = transaction.objectStore('audio').openCursor();
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve();
+                    return;
+                }
+                const song = cursor.value;
+                if (song.playCount === undefined) {
+                    cursor.update({ ...song, playCount: playCounts.get(song.id) || 0, lastPlayedAt: lastPlayed.get(song.id) || null });
+                }
+                cursor.continue();
+            };
+        };
+    });
+}
+
 // Simple IndexedDB helpers
 function idbPut(storeName, value) {
     return new Promise((resolve, reject) => {
@@ -492,7 +805,65 @@ function idbDelete(storeName, key) {
     });
 }
 
-async function createPlaylist({ name, cover = null, parentId = null }) {
+function idbGetAllKeys(storeName) {
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction([storeName], 'readonly');
+        const req = tx.objectStore(storeName).getAllKeys();
+        req.onsuccess = () => resolve(req.result || []);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+function idbClear(storeName) {
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction([storeName], 'readwrite');
+        const req = tx.objectStore(storeName).clear();
+        req.onsuccess = () => resolve();
+        req.onerror = () => reject(req.error);
+    });
+}
+
+// Song helpers
+// A song's audio file lives in audioFiles under the song's id, and is only read to play,
+// analyze or export it. The record in audio holds everything else.
+const describeAudioFile = (file) => ({ fileName: file.name || '', fileType: file.type || '', fileSize: file.size });
+
+// Store a song record and its audio file together; returns the stored record
+function putSong(record, file) {
+    const song = { ...record, ...describeAudioFile(file) };
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(['audio', 'audioFiles'], 'readwrite');
+        tx.objectStore('audioFiles').put({ id: song.id, file });
+        tx.objectStore('audio').put(song);
+        tx.oncomplete = () => resolve(song);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+function deleteSong(songId) {
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(['audio', 'audioFiles', 'queue'], 'readwrite');
+        tx.objectStore('audio').delete(songId);
+        tx.objectStore('audioFiles').delete(songId);
+        // Its queue entries would otherwise linger as invisible, unplayable slots
+        tx.objectStore('queue').openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+            if (cursor.value.songId === songId) cursor.delete();
+            cursor.continue();
+        };
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+async function getSongFile(songId) {
+    const entry = await idbGet('audioFiles', songId);
+    return entry ? entry.file : null;
+}
+
+// Passing rules makes a smart playlist, whose songs come from the rules instead of being added
+async function createPlaylist({ name, cover = null, parentId = null, rules = null, match = 'all' }) {
     const id = `pl_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
     const playlist = {
         id,
@@ -503,6 +874,9 @@ async function createPlaylist({ name, cover = null, parentId = null }) {
         createdAt: Date.now(),
         updatedAt: Date.now()
     };
+    if (rules) {
+        Object.assign(playlist, { smart: true, match, rules });
+    }
     await idbPut('playlists', playlist);
     return playlist;
 }
@@ -531,21 +905,20 @@ async function updatePlaylist(id, updates) {
 }
 
 async function deletePlaylist(id, { deleteSongs = false } = {}) {
-    // When deleting, optionally move songs out to root or delete them
-    const items = await idbGetAll('audio');
-    const updated = [];
-    for (const item of items) {
-        if (item.playlistId === id) {
-            if (deleteSongs) {
-                await idbDelete('audio', item.id);
-            } else {
-                delete item.playlistId;
-                updated.push(item);
-            }
+    // When deleting, optionally delete the songs too. Songs that are also in another
+    // playlist only leave this one; they're still wanted there.
+    const entries = await idbGetAll('playlistSongs');
+    const songIds = new Set(entries.filter(e => e.playlistId === id).map(e => e.songId));
+    const sharedIds = new Set(entries.filter(e => e.playlistId !== id && songIds.has(e.songId)).map(e => e.songId));
+    for (const entry of entries) {
+        if (entry.playlistId === id) {
+            await idbDelete('playlistSongs', entry.id);
         }
     }
-    for (const u of updated) {
-        await idbPut('audio', u);
+    if (deleteSongs) {
+        for (const songId of songIds) {
+            if (!sharedIds.has(songId)) await deleteSong(songId);
+        }
     }
 
     // Move or delete child playlists (keep nesting; reparent to deleted's parent)
@@ -562,31 +935,100 @@ async function deletePlaylist(id, { deleteSongs = false } = {}) {
     await idbDelete('playlists', id);
 }
 
-async function moveSongToPlaylist(songId, targetPlaylistId = null) {
-    const song = await idbGet('audio', songId);
-    if (!song) return null;
-    if (targetPlaylistId) {
-        const target = await idbGet('playlists', targetPlaylistId);
-        if (!target) return null;
-        song.playlistId = targetPlaylistId;
+// Playlist membership helpers
+// A song can be in any number of playlists; each membership is an entry with its own position
+const getPlaylistEntryId = (playlistId, songId) => `ps_${playlistId}_${songId}`;
+
+// Entries of one playlist (or all of them), in playlist order
+async function getPlaylistEntries(playlistId = null) {
+    const entries = await idbGetAll('playlistSongs');
+    return entries
+        .filter(entry => !playlistId || entry.playlistId === playlistId)
+        .sort((a, b) => a.position - b.position);
+}
+
+// Song id -> ids of the playlists it's in
+function getSongPlaylistIds(entries) {
+    const map = new Map();
+    for (const entry of entries) {
+        const list = map.get(entry.songId) || [];
+        list.push(entry.playlistId);
+        map.set(entry.songId, list);
+    }
+    return map;
+}
+
+// Add a song to the end of a playlist (or at index); a song is only in a playlist once
+async function addSongToPlaylist(songId, playlistId, index = null) {
+    const [song, target, entries] = await Promise.all([
+        idbGet('audio', songId),
+        idbGet('playlists', playlistId),
+        getPlaylistEntries(playlistId)
+    ]);
+    if (!song || !target || target.smart) return null;
+
+    let entry = entries.find(e => e.songId === songId);
+    if (!entry) {
+        entry = {
+            id: getPlaylistEntryId(playlistId, songId),
+            playlistId,
+            songId,
+            position: entries.length ? entries[entries.length - 1].position + 1 : 0,
+            addedAt: Date.now()
+        };
+        await idbPut('playlistSongs', entry);
         // Inherit cover art: if the playlist has no cover yet, use the first added song's cover
         if (!target.cover && song.cover instanceof Blob) {
             target.cover = song.cover;
             target.updatedAt = Date.now();
             await idbPut('playlists', target);
         }
-    } else {
-        delete song.playlistId; // move to root
     }
-    await idbPut('audio', song);
+    if (index !== null) await movePlaylistEntry(playlistId, songId, index);
+    return entry;
+}
+
+async function removeSongFromPlaylist(songId, playlistId) {
+    await idbDelete('playlistSongs', getPlaylistEntryId(playlistId, songId));
+}
+
+// Move a song out of one playlist (null: the library root) into another (null: just take it out)
+async function moveSongToPlaylist(songId, targetPlaylistId = null, fromPlaylistId = null, index = null) {
+    const song = await idbGet('audio', songId);
+    if (!song) return null;
+    if (targetPlaylistId && !await addSongToPlaylist(songId, targetPlaylistId, index)) return null;
+    if (fromPlaylistId && fromPlaylistId !== targetPlaylistId) {
+        await removeSongFromPlaylist(songId, fromPlaylistId);
+    }
     return song;
 }
 
+async function movePlaylistEntry(playlistId, songId, newIndex) {
+    const entries = await getPlaylistEntries(playlistId);
+    const fromIndex = entries.findIndex(e => e.songId === songId);
+    if (fromIndex === -1) return null;
+    const [entry] = entries.splice(fromIndex, 1);
+    const clampedIndex = Math.max(0, Math.min(newIndex, entries.length));
+    entries.splice(clampedIndex, 0, entry);
+    // Rewrite positions so they stay compact after reordering
+    for (let i = 0; i < entries.length; i++) {
+        if (entries[i].position !== i) {
+            entries[i].position = i;
+            await idbPut('playlistSongs', entries[i]);
+        }
+    }
+    preloadNextSong();
+    return entry;
+}
+
 async function movePlaylist(playlistId, newParentId = null) {
     if (playlistId === newParentId) return null;
     const pl = await idbGet('playlists', playlistId);
     if (!pl) return null;
     if (newParentId) {
+        // Smart playlists can't hold other playlists
+        const parent = await idbGet('playlists', newParentId);
+        if (!parent || parent.smart) return null;
         // Prevent cycles
         let checkId = newParentId;
         while (checkId) {
@@ -601,6 +1043,215 @@ async function movePlaylist(playlistId, newParentId = null) {
     return pl;
 }
 
+// Play queue helpers
+async function getQueue() {
+    const entries = await idbGetAll('queue');
+    return entries.sort((a, b) => a.position - b.position);
+}
+
+async function enqueueSong(songId, { next = false } = {}) {
+    const entries = await getQueue();
+    const position = entries.length === 0
+        ? 0
+        : next ? entries[0].position - 1 : entries[entries.length - 1].position + 1;
+    const entry = {
+        id: `q_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+        songId,
+        position,
+        addedAt: Date.now()
+    };
+    await idbPut('queue', entry);
+    preloadNextSong();
+    return entry;
+}
+
+async function playNext(songId) {
+    return enqueueSong(songId, { next: true });
+}
+
+async function addToQueue(songId) {
+    return enqueueSong(songId, { next: false });
+}
+
+async function removeFromQueue(entryId) {
+    await idbDelete('queue', entryId);
+    preloadNextSong();
+}
+
+async function clearQueue() {
+    const entries = await getQueue();
+    for (const entry of entries) {
+        await idbDelete('queue', entry.id);
+    }
+    preloadNextSong();
+}
+
+// newIndex counts only entries whose song still exists, as the queue list shows them
+async function moveQueueEntry(entryId, newIndex) {
+    const entries = [];
+    for (const entry of await getQueue()) {
+        if (await idbGet('audio', entry.songId)) {
+            entries.push(entry);
+        } else {
+            await idbDelete('queue', entry.id);
+        }
+    }
+    const fromIndex = entries.findIndex(e => e.id === entryId);
+    if (fromIndex === -1) return null;
+    const [entry] = entries.splice(fromIndex, 1);
+    const clampedIndex = Math.max(0, Math.min(newIndex, entries.length));
+    entries.splice(clampedIndex, 0, entry);
+    // Rewrite positions so they stay compact after reordering
+    for (let i = 0; i < entries.length; i++) {
+        if (entries[i].position !== i) {
+            entries[i].position = i;
+            await idbPut('queue', entries[i]);
+        }
+    }
+    preloadNextSong();
+    return entry;
+}
+
+// First queued song that still exists, without consuming it
+async function peekQueuedSong() {
+    const entries = await getQueue();
+    for (const entry of entries) {
+        const song = await idbGet('audio', entry.songId);
+        if (song) return song;
+    }
+    return null;
+}
+
+// Take the first queued song that still exists (stale entries are dropped)
+async function dequeueNextSong() {
+    const entries = await getQueue();
+    for (const entry of entries) {
+        await idbDelete('queue', entry.id);
+        const song = await idbGet('audio', entry.songId);
+        if (song) return song;
+    }
+    return null;
+}
+
+// Listening history helpers
+// Entries link to the entry played before them, so "previous" can walk back
+// through what was actually heard rather than through the playlist order
+const HISTORY_LIMIT = 500;
+const PREVIOUS_RESTART_SECONDS = 3;
+let currentHistoryEntry = null;
+let lastHistoryEntryId; // undefined until known, null when history is empty
+let historyPlayId = null;
+let lastHistoryTime = 0;
+let lastHistorySave = 0;
+let historyBackLink = null; // set while going back so the chain doesn't loop
+
+async function getHistory() {
+    const entries = await idbGetAll('history');
+    return entries.sort((a, b) => b.playedAt - a.playedAt);
+}
+
+async function clearHistory() {
+    const entries = await idbGetAll('history');
+    for (const entry of entries) {
+        await idbDelete('history', entry.id);
+    }
+    currentHistoryEntry = null;
+    lastHistoryEntryId = null;
+    historyPlayId = null;
+}
+
+// Play counts and last play times per song, as far back as the history goes.
+// Only for seeding songs' own counters: history is trimmed, the counters aren't.
+function buildPlayStats(entries) {
+    const playCounts = new Map();
+    const lastPlayed = new Map();
+    for (const entry of entries) {
+        playCounts.set(entry.songId, (playCounts.get(entry.songId) || 0) + 1);
+        if (entry.playedAt > (lastPlayed.get(entry.songId) || 0)) {
+            lastPlayed.set(entry.songId, entry.playedAt);
+        }
+    }
+    return { playCounts, lastPlayed };
+}
+
+async function trimHistory() {
+    const entries = await getHistory();
+    for (const entry of entries.slice(HISTORY_LIMIT)) {
+        await idbDelete('history', entry.id);
+    }
+}
+
+function saveHistoryEntry(entry) {
+    lastHistorySave = Date.now();
+    entry.playedSeconds = Math.round(entry.playedSeconds * 10) / 10;
+    return idbPut('history', entry).catch(err => console.error('Error saving history:', err));
+}
+
+async function beginHistoryEntry(songId, playId) {
+    const previous = currentHistoryEntry;
+    currentHistoryEntry = null;
+    if (previous) await saveHistoryEntry(previous);
+
+    let previousEntryId = previous ? previous.id : lastHistoryEntryId;
+    if (historyBackLink && historyBackLink.songId === songId) {
+        previousEntryId = historyBackLink.previousEntryId;
+    }
+    historyBackLink = null;
+    if (previousEntryId === undefined) {
+        const [latest] = await getHistory();
+        previousEntryId = latest ? latest.id : null;
+    }
+
+    const entry = {
+        id: `h_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+        songId,
+        playedAt: Date.now(),
+        playedSeconds: 0,
+        previousEntryId
+    };
+    lastHistoryEntryId = entry.id;
+    // Skipped past already; keep the entry but stop counting into it
+    if (historyPlayId === playId) {
+        currentHistoryEntry = entry;
+    }
+    await saveHistoryEntry(entry);
+    await recordSongPlay(songId, entry.playedAt);
+    await trimHistory();
+}
+
+// Lifetime counters on the song record, kept after its history entries are trimmed
+function recordSongPlay(songId, playedAt) {
+    return idbGet('audio', songId).then(song => {
+        if (!song) return null;
+        return idbPut('audio', { ...song, playCount: (song.playCount || 0) + 1, lastPlayedAt: playedAt });
+    }).catch(err => console.error('Error counting play:', err));
+}
+
+// Called on timeupdate: counts the seconds the active deck actually played
+function trackListening(deck) {
+    if (deck.audio !== currentAudio || !isPlaying || !deck.songId) return;
+    const time = deck.audio.currentTime;
+
+    if (historyPlayId !== deck.playId) {
+        historyPlayId = deck.playId;
+        lastHistoryTime = time;
+        beginHistoryEntry(deck.songId, deck.playId);
+        return;
+    }
+
+    const entry = currentHistoryEntry;
+    if (!entry) return;
+    const delta = time - lastHistoryTime;
+    lastHistoryTime = time;
+    // Seeks and scrubs jump; only steady playback counts
+    if (delta > 0 && delta < 2) {
+        entry.playedSeconds += delta;
+    }
+    if (Date.now() - lastHistorySave > 5000) {
+        saveHistoryEntry(entry);
+    }
+}
+
 // Initialize the database when the script loads
 initDB();
 
@@ -750,6 +1401,7 @@ const recordInner = document.querySelector('.record-inner');
 const dropZone = document.querySelector('.drop-zone');
 const songTitleElement = document.querySelector('.song-title');
 const songAuthorElement = document.querySelector('.song-author');
+const playingFromElement = document.querySelector('.song-playing-from');
 // Make these globally accessible
 window.songTitleElement = songTitleElement;
 window.songAuthorElement = songAuthorElement;
@@ -768,7 +1420,34 @@ const progressBarHandle = document.querySelector('.progress-bar-handle');
 const progressTimeCurrentElement = document.querySelector('.progress-time-current');
 const progressTimeTotalElement = document.querySelector('.progress-time-total');
 const playPauseButton = document.querySelector('.play-pause-button');
+const prevTrackButton = document.querySelector('.prev-track-button');
 const nextTrackButton = document.querySelector('.next-track-button');
+const shuffleButton = document.querySelector('.shuffle-button');
+const repeatButton = document.querySelector('.repeat-button');
+const playerSettingsButton = document.querySelector('.player-settings-button');
+const playerSettingsPanel = document.querySelector('.player-settings-panel');
+const crossfadeRange = document.getElementById('crossfade-range');
+const crossfadeValue = document.getElementById('crossfade-value');
+const normalizationSelect = document.getElementById('normalization-mode');
+const eqPresetSelect = document.getElementById('eq-preset');
+const eqBandsContainer = document.getElementById('eq-bands');
+const preampRange = document.getElementById('preamp-range');
+const preampValue = document.getElementById('preamp-value');
+const stereoWidthRange = document.getElementById('stereo-width-range');
+const stereoWidthValue = document.getElementById('stereo-width-value');
+const limiterToggle = document.getElementById('limiter-toggle');
+const songEffectsToggle = document.getElementById('song-effects-toggle');
+const vinylToggle = document.getElementById('vinyl-toggle');
+const crackleRange = document.getElementById('crackle-range');
+const speedRange = document.getElementById('speed-range');
+const speedValue = document.getElementById('speed-value');
+const preservePitchToggle = document.getElementById('preserve-pitch-toggle');
+const pitchRange = document.getElementById('pitch-range');
+const pitchValue = document.getElementById('pitch-value');
+const rpmButtons = document.querySelectorAll('.rpm-button');
+const sleepTimerButtons = document.querySelectorAll('.sleep-timer-button');
+const sleepTimerIndicator = document.querySelector('.sleep-timer-indicator');
+const sleepTimerRemaining = document.querySelector('.sleep-timer-remaining');
 
 // Set up canvas for visualization
 canvas = document.createElement('canvas');
@@ -802,7 +1481,7 @@ let isPlaying = false;
 let rotationAngle = 0;
 let animationId = null;
 let lastTime = 0;
-const ROTATION_SPEED = 180; // degrees per second (half rotation per second)
+const ROTATION_SPEED = 180; // degrees per second (half rotation per second) at 33⅓ RPM
 
 // Dragging state for scrubbing
 let isDragging = false;
@@ -841,7 +1520,12 @@ rotationDisplay.style.display = 'none';
 document.body.appendChild(rotationDisplay);
 
 // Add click handler for playback
+let suppressRecordClick = false;
 record.addEventListener('click', (e) => {
+    if (suppressRecordClick) {
+        suppressRecordClick = false;
+        return;
+    }
     // Only handle click if we weren't scrubbing
     if (!isScrubbing) {
         handlePlayback();
@@ -886,11 +1570,35 @@ window.addEventListener('keydown', (e) => {
         }
     }
 
-    // Arrow key navigation when songs panel is open
-    if (songsPanel && songsPanel.classList.contains('open')) {
+    // Arrow key navigation when songs panel is open; an open dialog keeps its keys
+    if (songsPanel && songsPanel.classList.contains('open') && !(contextMenu && contextMenu.isEditDialogOpen())) {
+        const inSearch = songsSearchInput && e.target === songsSearchInput;
+        const isTypedCharacter = e.key.length === 1 && e.key !== ' ' && !e.ctrlKey && !e.metaKey && !e.altKey;
+        // Typing starts a search; focus moves before the character is inserted, so it lands in the box
+        if (songsSearchInput && !inSearch && isTypedCharacter
+            && !e.target.matches('input, textarea, select')) {
+            songsSearchInput.focus();
+            return;
+        }
+        if (inSearch) {
+            // Left/right move the caret; Escape clears the search, then leaves the box
+            if (e.code === 'ArrowLeft' || e.code === 'ArrowRight') return;
+            if (e.code === 'Escape') {
+                e.preventDefault();
+                if (songsSearchInput.value) clearLibrarySearch();
+                else songsSearchInput.blur();
+                return;
+            }
+        }
+
         const songs = Array.from(songsList.querySelectorAll('.song-item'));
         const currentSong = document.activeElement;
         let currentIndex = songs.indexOf(currentSong);
+        // Enter in the search box plays the top result
+        if (inSearch && e.code === 'Enter' && songs.length > 0) {
+            e.preventDefault();
+            currentIndex = 0;
+        }
 
         if (e.code === 'ArrowDown' || e.code === 'ArrowRight') {
             e.preventDefault();
@@ -919,8 +1627,16 @@ window.addEventListener('keydown', (e) => {
         } else if (e.code === 'Enter' && currentIndex !== -1) {
             // Load and play the selected song on Enter
             const songId = songs[currentIndex].dataset.id;
-            idbGet('audio', songId).then(item => {
+            const queueEntryId = songs[currentIndex].dataset.queueEntryId;
+            const contextPlaylistId = songs[currentIndex].dataset.contextPlaylistId || null;
+            if (queueEntryId) {
+                removeFromQueue(queueEntryId);
+            }
+            Promise.all([idbGet('audio', songId), idbGetAll('playlists')]).then(async ([item, playlists]) => {
                 if (item) {
+                    if (!queueEntryId) {
+                        await setPlaybackContextForSong(playlists, contextPlaylistId);
+                    }
                     loadSong(item);
                     songsPanel.classList.remove('open');
                     songsPanel.setAttribute('aria-hidden', 'true');
@@ -935,6 +1651,10 @@ record.addEventListener('mousedown', handleScrubStart);
 record.addEventListener('mousemove', handleScrubbing);
 record.addEventListener('mouseup', handleScrubEnd);
 record.addEventListener('mouseleave', handleScrubEnd); // End scrub if mouse leaves record
+record.addEventListener('touchstart', handleScrubStart, { passive: false });
+record.addEventListener('touchmove', handleScrubbing, { passive: false });
+record.addEventListener('touchend', handleScrubTouchEnd, { passive: false });
+record.addEventListener('touchcancel', handleScrubEnd, { passive: false });
 
 // Prevent default drag behaviors and handle drop zone
 ['dragenter', 'dragover', 'dragleave', 'drop'].forEach(eventName => {
@@ -945,9 +1665,9 @@ record.addEventListener('mouseleave', handleScrubEnd); // End scrub if mouse lea
 document.body.addEventListener('dragenter', (e) => {
     preventDefaults(e);
     
-    // Only handle audio files
-    const items = e.dataTransfer?.items;
-    if (items && items[0]?.type.startsWith('audio/')) {
+    // Only handle audio files and folders (which report no type)
+    const items = Array.from(e.dataTransfer?.items || []);
+    if (items.some(item => item.kind === 'file' && (item.type === '' || item.type.startsWith('audio/')))) {
         dragCounter++;
         if (dragCounter === 1) {
             clearTimeout(debounceTimer);
@@ -1004,85 +1724,1416 @@ function unhighlight() {
 }
 
 async function handleDrop(e) {
-    const file = e.dataTransfer.files[0];
-    if (file && file.type.startsWith('audio/')) {
-        await processAudioFile(file);
+    // Entries have to be taken while the drop event is still being dispatched
+    const entries = Array.from(e.dataTransfer.items || [])
+        .filter(item => item.kind === 'file')
+        .map(item => item.webkitGetAsEntry?.())
+        .filter(Boolean);
+
+    let files;
+    if (entries.length > 0) {
+        files = [];
+        for (const entry of entries) {
+            await collectEntryFiles(entry, [], files);
+        }
+    } else {
+        files = Array.from(e.dataTransfer.files).map(file => ({ file, folderPath: [] }));
     }
-}
 
-// Compute a stable ID for a file (SHA-1 of content, fallback to name-size-mtime)
-async function computeFileId(file) {
-    try {
-        const buffer = await file.arrayBuffer();
-        const hashBuffer = await crypto.subtle.digest('SHA-1', buffer);
-        const hashArray = Array.from(new Uint8Array(hashBuffer));
-        const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-        return `sha1_${hashHex}`;
-    } catch (err) {
-        return `${file.name}_${file.size}_${file.lastModified}`;
+    // A single dropped song plays right away, as before
+    if (files.length === 1 && entries.every(entry => entry.isFile) && isAudioFile(files[0].file)) {
+        await processAudioFile(files[0].file);
+        return;
     }
+    enqueueImports(files);
 }
 
-// Process the dropped audio file
-async function processAudioFile(file, initialMetadata = null) {
-    try {
-        // Stop any currently playing audio
-        stopAudio();
-        
-        // Clean up any existing record cover URL
-        if (currentRecordCoverUrl && currentRecordCoverUrl.startsWith('blob:')) {
-            URL.revokeObjectURL(currentRecordCoverUrl);
-            currentRecordCoverUrl = null;
-        }
+// ---- Bulk import ----
 
-        // Compute ID and extract metadata
-        const [id, extracted] = await Promise.all([
-            computeFileId(file),
-            extractMetadata(file)
-        ]);
+const AUDIO_EXTENSIONS = ['mp3', 'm4a', 'mp4', 'aac', 'flac', 'ogg', 'oga', 'opus', 'wav', 'wave', 'aif', 'aiff', 'webm', 'weba'];
 
-        // Merge metadata: prefer initial metadata from caller, then extracted, then filename fallback
-        const filenameMeta = deriveMetadataFromFilename(file.name);
-        const mergedMetadata = {
-            title: (initialMetadata?.title || extracted.title || filenameMeta.title || 'UNKNOWN').toString(),
-            artist: (initialMetadata?.artist || initialMetadata?.author || extracted.artist || filenameMeta.artist || 'UNNAMED').toString(),
-            coverBlob: extracted.coverBlob || null,
-            coverUrl: extracted.coverUrl || null
+// Files read from folders often come without a MIME type
+function isAudioFile(file) {
+    if (file.type) return file.type.startsWith('audio/');
+    const extension = file.name.includes('.') ? file.name.split('.').pop().toLowerCase() : '';
+    return AUDIO_EXTENSIONS.includes(extension);
+}
+
+// Folder names are skipped along with their contents when they start with a dot
+const isHiddenName = (name) => name.startsWith('.');
+
+// Read every entry of a directory (readEntries hands them out in batches)
+async function readDirectoryEntries(directory) {
+    const reader = directory.createReader();
+    const entries = [];
+    while (true) {
+        const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        if (batch.length === 0) return entries;
+        entries.push(...batch);
+    }
+}
+
+// Walk a dropped file or directory, collecting { file, folderPath } for everything inside
+async function collectEntryFiles(entry, folderPath, out) {
+    if (isHiddenName(entry.name)) return;
+    if (entry.isFile) {
+        try {
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            out.push({ file, folderPath });
+        } catch (error) {
+            console.error('Error reading dropped file:', error);
+            out.push({ file: null, folderPath, name: entry.fullPath || entry.name, error });
+        }
+    } else if (entry.isDirectory) {
+        const path = [...folderPath, entry.name];
+        try {
+            const children = await readDirectoryEntries(entry);
+            children.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+            for (const child of children) {
+                await collectEntryFiles(child, path, out);
+            }
+        } catch (error) {
+            console.error('Error reading dropped folder:', error);
+            out.push({ file: null, folderPath, name: entry.fullPath || entry.name, error });
+        }
+    }
+}
+
+const IMPORT_RENDER_EVERY = 10;
+
+const importQueue = {
+    jobs: [],
+    running: false,
+    total: 0,
+    completed: 0,
+    imported: 0,
+    skipped: 0,
+    ignored: 0,
+    errors: [],
+    current: null
+};
+
+const importQueueElement = document.querySelector('.import-queue');
+const importQueueTitle = document.querySelector('.import-queue-title');
+const importQueueCurrent = document.querySelector('.import-queue-current');
+const importQueueFill = document.querySelector('.import-queue-progress-fill');
+const importQueueErrors = document.querySelector('.import-queue-errors');
+const importQueueClose = document.querySelector('.import-queue-close');
+
+// Queue files for import. Each folderPath (e.g. ['Albums', 'Kind of Blue']) becomes a playlist
+// tree when folder playlists are enabled; songs from one call share the playlists they create.
+function enqueueImports(files) {
+    const batch = { playlistIds: new Map(), createPlaylists: importFoldersAsPlaylists };
+    let added = 0;
+    for (const entry of files) {
+        if (!entry.file) {
+            importQueue.errors.push({ name: entry.name, message: entry.error?.message || 'Could not be read' });
+            continue;
+        }
+        if (!isAudioFile(entry.file)) {
+            importQueue.ignored++;
+            continue;
+        }
+        importQueue.jobs.push({ ...entry, batch });
+        added++;
+    }
+    importQueue.total += added;
+
+    if (added === 0 && importQueue.errors.length === 0) {
+        if (!importQueue.running) {
+            errorHandler.showWarning('No audio files found to import.', { duration: 3000 });
+            resetImportQueue();
+        }
+        return;
+    }
+
+    updateImportQueueDisplay();
+    if (!importQueue.running) {
+        runImportQueue();
+    }
+}
+
+// Find or create the playlist for a folder path, creating parents first
+async function ensureImportPlaylist(folderPath, batch) {
+    if (!batch.createPlaylists || folderPath.length === 0) return null;
+    if (!batch.playlists) {
+        batch.playlists = await idbGetAll('playlists');
+    }
+
+    let parentId = null;
+    for (let i = 0; i < folderPath.length; i++) {
+        const key = folderPath.slice(0, i + 1).join('/');
+        let id = batch.playlistIds.get(key);
+        if (!id) {
+            // Importing the same folder again reuses its playlists
+            const name = folderPath[i];
+            const existing = batch.playlists.find(p => p.name === name && (p.parentId || null) === parentId);
+            const playlist = existing || await createPlaylist({ name, parentId });
+            if (!existing) batch.playlists.push(playlist);
+            id = playlist.id;
+            batch.playlistIds.set(key, id);
+        }
+        parentId = id;
+    }
+    return parentId;
+}
+
+async function runImportQueue() {
+    importQueue.running = true;
+
+    while (importQueue.jobs.length > 0) {
+        const job = importQueue.jobs.shift();
+        importQueue.current = job.file.name;
+        updateImportQueueDisplay();
+
+        try {
+            const playlistId = await ensureImportPlaylist(job.folderPath, job.batch);
+            const { coverUrl, existing } = await importAudioFile(job.file, { playlistId, skipExisting: true });
+            if (coverUrl) URL.revokeObjectURL(coverUrl);
+            if (existing) {
+                importQueue.skipped++;
+            } else {
+                importQueue.imported++;
+            }
+        } catch (error) {
+            console.error('Error importing file:', error);
+            importQueue.errors.push({
+                name: [...job.folderPath, job.file.name].join('/'),
+                message: error?.message || String(error)
+            });
+            // Nothing after this will fit either
+            if (error?.name === 'QuotaExceededError') {
+                cancelImportQueue();
+                showStorageFullError();
+            }
+        }
+
+        importQueue.completed++;
+        if (importQueue.completed % IMPORT_RENDER_EVERY === 0) {
+            await renderSongs();
+        }
+        // Keep the page responsive between files
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    importQueue.running = false;
+    importQueue.current = null;
+    await renderSongs();
+    finishImportQueue();
+}
+
+function finishImportQueue() {
+    const { imported, skipped, ignored, errors } = importQueue;
+    const parts = [`${imported} song${imported === 1 ? '' : 's'} imported`];
+    if (skipped) parts.push(`${skipped} already in your library`);
+    if (ignored) parts.push(`${ignored} not audio`);
+    const summary = `${parts.join(', ')}.`;
+
+    if (errors.length > 0) {
+        // Leave the panel open so the failures can be read
+        updateImportQueueDisplay();
+        errorHandler.showWarning(`${summary} ${errors.length} failed.`, { title: 'Import Finished', duration: 5000 });
+        return;
+    }
+    errorHandler.showSuccess(summary, { duration: 3000 });
+    resetImportQueue();
+}
+
+function cancelImportQueue() {
+    importQueue.jobs = [];
+}
+
+function resetImportQueue() {
+    Object.assign(importQueue, {
+        total: 0,
+        completed: 0,
+        imported: 0,
+        skipped: 0,
+        ignored: 0,
+        errors: [],
+        current: null
+    });
+    updateImportQueueDisplay();
+}
+
+function updateImportQueueDisplay() {
+    if (!importQueueElement) return;
+    const { running, total, completed, errors, current } = importQueue;
+    const visible = running || errors.length > 0;
+    importQueueElement.classList.toggle('visible', visible);
+    importQueueElement.setAttribute('aria-hidden', visible ? 'false' : 'true');
+    if (!visible) return;
+
+    importQueueTitle.textContent = running
+        ? `Importing ${Math.min(completed + 1, total)} of ${total}`
+        : `Imported ${completed - errors.length} of ${total}`;
+    importQueueCurrent.textContent = running && current ? current : '';
+    importQueueFill.style.width = `${total > 0 ? (completed / total) * 100 : 0}%`;
+    importQueueClose.textContent = running ? 'Cancel' : 'Dismiss';
+
+    importQueueErrors.innerHTML = '';
+    for (const error of errors) {
+        const item = document.createElement('li');
+        item.className = 'import-queue-error';
+        const name = document.createElement('span');
+        name.className = 'import-queue-error-name';
+        name.textContent = error.name;
+        const message = document.createElement('span');
+        message.className = 'import-queue-error-message';
+        message.textContent = error.message;
+        item.appendChild(name);
+        item.appendChild(message);
+        importQueueErrors.appendChild(item);
+    }
+}
+
+if (importQueueClose) {
+    importQueueClose.addEventListener('click', () => {
+        if (importQueue.running) {
+            cancelImportQueue();
+        } else {
+            resetImportQueue();
+        }
+    });
+}
+
+// Folder playlists setting and the file/folder pickers in the add music panel
+let importFoldersAsPlaylists = true;
+const importFoldersToggle = document.getElementById('import-folders-toggle');
+const importFilesInput = document.getElementById('import-files-input');
+const importFolderInput = document.getElementById('import-folder-input');
+
+async function loadImportSettings() {
+    const saved = await getSetting('importFoldersAsPlaylists');
+    if (typeof saved === 'boolean') importFoldersAsPlaylists = saved;
+    if (importFoldersToggle) importFoldersToggle.checked = importFoldersAsPlaylists;
+}
+
+if (importFoldersToggle) {
+    importFoldersToggle.addEventListener('change', () => {
+        importFoldersAsPlaylists = importFoldersToggle.checked;
+        saveSetting('importFoldersAsPlaylists', importFoldersAsPlaylists);
+    });
+}
+
+document.querySelectorAll('.import-button').forEach(button => {
+    button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const input = button.dataset.import === 'folder' ? importFolderInput : importFilesInput;
+        if (input) input.click();
+    });
+});
+
+[importFilesInput, importFolderInput].forEach(input => {
+    if (!input) return;
+    input.addEventListener('change', () => {
+        // Folder picks carry "Folder/Sub/song.mp3" paths
+        const files = Array.from(input.files)
+            .filter(file => !(file.webkitRelativePath || '').split('/').some(isHiddenName))
+            .map(file => ({ file, folderPath: (file.webkitRelativePath || '').split('/').slice(0, -1) }));
+        input.value = '';
+        enqueueImports(files);
+    });
+});
+
+// ---- Duplicate finder ----
+
+const DUPLICATE_DURATION_TOLERANCE = 3; // seconds, for songs matched by title and artist
+const DUPLICATE_LENGTH_WINDOW = 10;     // seconds of length difference still worth comparing audio
+const DUPLICATE_SIMILARITY = 0.75;      // fingerprint similarity that counts as the same recording
+const DUPLICATE_COARSE_STEP = 8;        // words skipped by the quick pre-check before a full comparison
+const DUPLICATE_COARSE_MARGIN = 0.05;   // how far below the threshold a quick estimate may land and still be checked
+const DUPLICATE_SLICE_MS = 30;          // comparison time between yields to the page
+
+const duplicatesDialog = document.getElementById('duplicates-dialog');
+const duplicatesStatus = document.querySelector('.duplicates-status');
+const duplicatesGroups = document.querySelector('.duplicates-groups');
+let duplicateScan = null; // { cancelled } while the dialog is open
+
+// Lowercased, accent-free, without "(Official Video)", "[Remastered]" or "feat." tails
+function normalizeMatchText(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/\([^)]*\)|\[[^\]]*\]/g, ' ')
+        .replace(/\s(feat|ft|featuring)\.?\s.*$/, ' ')
+        .replace(/\s-\stopic$/, ' ')
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+// "artist|title" keys; YouTube rips often carry "Artist - Title" in the title instead
+function getMatchKeys(song) {
+    const title = song.title && song.title !== 'UNKNOWN' ? song.title : '';
+    const artist = song.artist && song.artist !== 'UNNAMED' ? song.artist : '';
+    const keys = new Set();
+    if (title) keys.add(`${normalizeMatchText(artist)}|${normalizeMatchText(title)}`);
+    const split = title.match(/^(.+?)\s+[-–—]\s+(.+)$/);
+    if (split) keys.add(`${normalizeMatchText(split[1])}|${normalizeMatchText(split[2])}`);
+    return [...keys].filter(key => !key.endsWith('|'));
+}
+
+function getSongDuration(song) {
+    return song.fingerprint?.duration ?? song.loudness?.duration ?? null;
+}
+
+// Fingerprint every song that doesn't have a current one yet
+async function ensureFingerprints(songs, scan) {
+    const missing = songs.filter(song => song.fingerprint?.version !== FINGERPRINT_VERSION);
+    for (let i = 0; i < missing.length; i++) {
+        if (scan.cancelled) return;
+        duplicatesStatus.textContent = `Analyzing audio ${i + 1} of ${missing.length}…`;
+        const song = missing[i];
+        const file = await getSongFile(song.id);
+        if (!file) continue;
+        let result;
+        try {
+            result = await analyzeFileFingerprint(file);
+        } catch (error) {
+            console.warn(`Could not fingerprint "${song.title}":`, error);
+            result = { fingerprint: null, duration: null };
+        }
+        // Re-read: the record may have been edited while we were decoding
+        const latest = await idbGet('audio', song.id);
+        if (!latest) continue;
+        latest.fingerprint = {
+            version: FINGERPRINT_VERSION,
+            data: result.fingerprint,
+            duration: result.duration,
+            analyzedAt: Date.now()
         };
+        await idbPut('audio', latest);
+        song.fingerprint = latest.fingerprint;
+    }
+}
+
+// Groups of likely duplicates: same title/artist at about the same length, or the same audio.
+// Resolves to null if the scan is cancelled.
+async function findDuplicateGroups(songs, scan) {
+    const parent = new Map(songs.map(song => [song.id, song.id]));
+    const find = (id) => {
+        while (parent.get(id) !== id) {
+            parent.set(id, parent.get(parent.get(id)));
+            id = parent.get(id);
+        }
+        return id;
+    };
+    const matches = [];
+    const link = (a, b, reason, similarity = null) => {
+        matches.push({ ids: [a.id, b.id], reason, similarity });
+        parent.set(find(a.id), find(b.id));
+    };
+
+    const byKey = new Map();
+    for (const song of songs) {
+        for (const key of getMatchKeys(song)) {
+            const list = byKey.get(key) || [];
+            list.push(song);
+            byKey.set(key, list);
+        }
+    }
+    for (const list of byKey.values()) {
+        for (let i = 0; i < list.length; i++) {
+            for (let j = i + 1; j < list.length; j++) {
+                const a = getSongDuration(list[i]);
+                const b = getSongDuration(list[j]);
+                if (a === null || b === null || Math.abs(a - b) <= DUPLICATE_DURATION_TOLERANCE) {
+                    link(list[i], list[j], 'title');
+                }
+            }
+        }
+    }
+
+    // Sorted by length, so each song is only compared with the few that are about as long
+    const printed = songs
+        .filter(song => song.fingerprint?.data && song.fingerprint.duration)
+        .sort((a, b) => a.fingerprint.duration - b.fingerprint.duration);
+    let sliceStart = performance.now();
+    for (let i = 0; i < printed.length; i++) {
+        for (let j = i + 1; j < printed.length; j++) {
+            if (printed[j].fingerprint.duration - printed[i].fingerprint.duration > DUPLICATE_LENGTH_WINDOW) break;
+            // Hand the page back now and then so the dialog stays responsive and cancellable
+            if (performance.now() - sliceStart > DUPLICATE_SLICE_MS) {
+                duplicatesStatus.textContent = `Comparing audio ${i + 1} of ${printed.length}…`;
+                await new Promise(resolve => setTimeout(resolve, 0));
+                if (scan.cancelled) return null;
+                sliceStart = performance.now();
+            }
+            const a = printed[i].fingerprint.data;
+            const b = printed[j].fingerprint.data;
+            if (compareFingerprints(a, b, DUPLICATE_COARSE_STEP) < DUPLICATE_SIMILARITY - DUPLICATE_COARSE_MARGIN) continue;
+            const similarity = compareFingerprints(a, b);
+            if (similarity >= DUPLICATE_SIMILARITY) link(printed[i], printed[j], 'audio', similarity);
+        }
+    }
+
+    const groups = new Map();
+    for (const song of songs) {
+        const root = find(song.id);
+        groups.set(root, [...(groups.get(root) || []), song]);
+    }
+    return [...groups.values()]
+        .filter(members => members.length > 1)
+        .map(members => {
+            const ids = new Set(members.map(song => song.id));
+            const groupMatches = matches.filter(match => ids.has(match.ids[0]));
+            const audio = groupMatches.filter(match => match.reason === 'audio');
+            return {
+                songs: members,
+                sameTitle: groupMatches.some(match => match.reason === 'title'),
+                similarity: audio.length ? Math.max(...audio.map(match => match.similarity)) : null
+            };
+        });
+}
+
+// Most played first, then most cue points, then the bigger (usually better) file, then the oldest
+function sortByKeepPreference(songs, playCounts) {
+    return [...songs].sort((a, b) =>
+        (playCounts.get(b.id) || 0) - (playCounts.get(a.id) || 0)
+        || (b.cuePoints?.length || 0) - (a.cuePoints?.length || 0)
+        || (b.fileSize || 0) - (a.fileSize || 0)
+        || (a.createdAt || 0) - (b.createdAt || 0));
+}
+
+// Fold the other copies into the kept song and delete them
+async function mergeDuplicateSongs(keepId, removeIds) {
+    const keep = await idbGet('audio', keepId);
+    if (!keep) throw new Error('Song to keep not found');
+    const removed = (await Promise.all(removeIds.map(id => idbGet('audio', id)))).filter(Boolean);
+    const removedIds = new Set(removed.map(song => song.id));
+
+    const cues = [...(keep.cuePoints || [])];
+    for (const song of removed) {
+        // Plays of every copy add up
+        keep.playCount = (keep.playCount || 0) + (song.playCount || 0);
+        if ((song.lastPlayedAt || 0) > (keep.lastPlayedAt || 0)) keep.lastPlayedAt = song.lastPlayedAt;
+        // Cue points, skipping any within half a second of one already kept
+        for (const cue of song.cuePoints || []) {
+            if (!cues.some(c => Math.abs(c.time - cue.time) < 0.5)) cues.push(cue);
+        }
+        // Fill in whatever the kept copy is missing
+        if (!keep.cover && song.cover) {
+            keep.cover = song.cover;
+            delete keep.gradient;
+        }
+        for (const field of [...TAG_FIELDS, 'replayGain', 'effects', 'playbackSpeed']) {
+            if ((keep[field] === null || keep[field] === undefined) && song[field] !== null && song[field] !== undefined) {
+                keep[field] = song[field];
+            }
+        }
+    }
+    if (cues.length) keep.cuePoints = cues.sort((a, b) => a.time - b.time);
+    await idbPut('audio', keep);
+
+    // Play counts come from the listening history; queued copies play the kept one instead
+    const [history, queue] = await Promise.all([idbGetAll('history'), idbGetAll('queue')]);
+    for (const entry of [...history, ...queue]) {
+        if (!removedIds.has(entry.songId)) continue;
+        entry.songId = keepId;
+        await idbPut(history.includes(entry) ? 'history' : 'queue', entry);
+    }
+
+    // The kept copy joins every playlist a removed copy was in, at that copy's spot
+    const playlistEntries = await idbGetAll('playlistSongs');
+    const keptIn = new Set(playlistEntries.filter(e => e.songId === keepId).map(e => e.playlistId));
+    for (const entry of playlistEntries) {
+        if (!removedIds.has(entry.songId)) continue;
+        await idbDelete('playlistSongs', entry.id);
+        if (keptIn.has(entry.playlistId)) continue;
+        keptIn.add(entry.playlistId);
+        await idbPut('playlistSongs', { ...entry, id: getPlaylistEntryId(entry.playlistId, keepId), songId: keepId });
+    }
+
+    for (const id of removedIds) {
+        await deleteSong(id);
+    }
+    if (removedIds.has(await getSetting('lastPlayedId'))) {
+        await saveSetting('lastPlayedId', keepId);
+    }
+    if (cueSongId === keepId) loadCuePoints(keep);
+    return keep;
+}
+
+function describeSongFile(song) {
+    const name = song.fileName || '';
+    const format = name.includes('.') ? name.split('.').pop().toUpperCase() : (song.fileType || '').split('/').pop().toUpperCase();
+    const size = song.fileSize ? `${(song.fileSize / (1024 * 1024)).toFixed(1)} MB` : '';
+    return [format, size].filter(Boolean).join(' ');
+}
+
+function renderDuplicateGroups(groups, playCounts, playlistNames, playlistIdsBySong) {
+    duplicatesGroups.innerHTML = '';
+    groups.forEach((group, index) => {
+        const sorted = sortByKeepPreference(group.songs, playCounts);
+        const element = document.createElement('div');
+        element.className = 'duplicate-group';
+
+        const reason = document.createElement('div');
+        reason.className = 'duplicate-group-reason';
+        const reasons = [];
+        if (group.similarity !== null) reasons.push(`Same audio (${Math.round(group.similarity * 100)}%)`);
+        if (group.sameTitle) reasons.push('Same title & artist');
+        reason.textContent = reasons.join(' · ');
+        element.appendChild(reason);
+
+        sorted.forEach((song, songIndex) => {
+            const row = document.createElement('label');
+            row.className = 'duplicate-song';
+            const radio = document.createElement('input');
+            radio.type = 'radio';
+            radio.name = `duplicate-keep-${index}`;
+            radio.value = song.id;
+            radio.checked = songIndex === 0;
+
+            const text = document.createElement('div');
+            text.className = 'duplicate-song-text';
+            const title = document.createElement('div');
+            title.className = 'duplicate-song-title';
+            title.textContent = `${song.title || 'UNKNOWN'} — ${song.artist || 'UNNAMED'}`;
+            const details = document.createElement('div');
+            details.className = 'duplicate-song-details';
+            const plays = playCounts.get(song.id) || 0;
+            details.textContent = [
+                getSongDuration(song) ? formatTime(getSongDuration(song)) : null,
+                describeSongFile(song),
+                `${plays} play${plays === 1 ? '' : 's'}`,
+                song.cuePoints?.length ? `${song.cuePoints.length} cue${song.cuePoints.length === 1 ? '' : 's'}` : null,
+                playlistIdsBySong.has(song.id)
+                    ? `in ${playlistIdsBySong.get(song.id).map(id => playlistNames.get(id) || 'Playlist').join(', ')}`
+                    : null
+            ].filter(Boolean).join(' · ');
+            text.appendChild(title);
+            text.appendChild(details);
+
+            row.appendChild(radio);
+            row.appendChild(text);
+            element.appendChild(row);
+        });
+
+        const mergeButton = document.createElement('button');
+        mergeButton.type = 'button';
+        mergeButton.className = 'duplicate-merge-btn';
+        mergeButton.textContent = 'Keep Selected';
+        mergeButton.addEventListener('click', async () => {
+            const keepId = element.querySelector('input[type="radio"]:checked')?.value;
+            if (!keepId) return;
+            mergeButton.disabled = true;
+            try {
+                await mergeDuplicateSongs(keepId, group.songs.map(song => song.id).filter(id => id !== keepId));
+                element.remove();
+                if (!duplicatesGroups.querySelector('.duplicate-group')) {
+                    duplicatesStatus.textContent = 'No duplicates left.';
+                }
+                await cleanupEmptyPlaylists();
+            } catch (error) {
+                console.error('Error merging duplicates:', error);
+                mergeButton.disabled = false;
+                errorHandler.showError('Failed to merge duplicates. Please try again.', {
+                    title: 'Merge Failed',
+                    duration: 5000
+                });
+            }
+        });
+        element.appendChild(mergeButton);
+
+        duplicatesGroups.appendChild(element);
+    });
+}
+
+async function openDuplicateFinder() {
+    if (!duplicatesDialog) return;
+    const scan = { cancelled: false };
+    duplicateScan = scan;
+    duplicatesGroups.innerHTML = '';
+    duplicatesStatus.textContent = 'Looking for duplicates…';
+    duplicatesDialog.classList.add('active');
+    duplicatesDialog.setAttribute('aria-hidden', 'false');
+
+    try {
+        const songs = await idbGetAll('audio');
+        await ensureFingerprints(songs, scan);
+        if (scan.cancelled) return;
+
+        const [playlists, playlistEntries] = await Promise.all([
+            idbGetAll('playlists'),
+            getPlaylistEntries()
+        ]);
+        const playCounts = new Map(songs.map(song => [song.id, song.playCount || 0]));
+        const playlistNames = new Map(playlists.map(p => [p.id, p.name]));
+        const playlistIdsBySong = getSongPlaylistIds(playlistEntries);
+
+        const groups = await findDuplicateGroups(songs, scan);
+        if (!groups) return;
+        duplicatesStatus.textContent = groups.length
+            ? `${groups.length} group${groups.length === 1 ? '' : 's'} of likely duplicates. Pick the copy to keep; plays, cue points and playlists move over to it.`
+            : 'No duplicates found.';
+        renderDuplicateGroups(groups, playCounts, playlistNames, playlistIdsBySong);
+    } catch (error) {
+        console.error('Error finding duplicates:', error);
+        duplicatesStatus.textContent = 'Something went wrong while looking for duplicates.';
+    }
+}
+
+function closeDuplicateFinder() {
+    if (duplicateScan) duplicateScan.cancelled = true;
+    duplicateScan = null;
+    duplicatesDialog.classList.remove('active');
+    duplicatesDialog.setAttribute('aria-hidden', 'true');
+}
+
+document.querySelector('.new-smart-playlist-button')?.addEventListener('click', (e) => {
+    e.stopPropagation();
+    openSmartPlaylistDialog();
+});
+
+if (duplicatesDialog) {
+    document.querySelector('.find-duplicates-button')?.addEventListener('click', (e) => {
+        e.stopPropagation();
+        openDuplicateFinder();
+    });
+    duplicatesDialog.querySelector('.duplicates-close-btn').addEventListener('click', closeDuplicateFinder);
+    duplicatesDialog.addEventListener('click', (e) => {
+        if (e.target === duplicatesDialog) closeDuplicateFinder();
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && duplicatesDialog.classList.contains('active')) closeDuplicateFinder();
+    });
+}
+
+// Library backup: one ZIP with a manifest.json of the stores plus every audio file and cover
+const BACKUP_FORMAT = 'disc-player-library';
+// Version 1 backups kept each song's audio file on its record instead of in audioFiles
+const BACKUP_VERSION = 2;
+const BACKUP_STORES = ['audio', 'audioFiles', 'playlists', 'playlistSongs', 'history', 'settings'];
+// Secrets stay out of backup files and survive a restore
+const BACKUP_EXCLUDED_SETTINGS = ['elevenLabsApiKey'];
+const MIME_EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp', 'image/gif': 'gif', 'audio/mpeg': 'mp3', 'audio/mp4': 'm4a', 'audio/x-m4a': 'm4a', 'audio/flac': 'flac', 'audio/ogg': 'ogg', 'audio/wav': 'wav' };
+
+const libraryDialog = document.getElementById('library-dialog');
+const libraryStatus = document.querySelector('.library-status');
+const libraryImportInput = document.getElementById('library-import-input');
+let libraryTaskRunning = false;
+
+function getBackupPath(record, key, blob) {
+    const nameExtension = blob.name && blob.name.includes('.') ? blob.name.split('.').pop().toLowerCase() : '';
+    const extension = nameExtension || MIME_EXTENSIONS[blob.type] || 'bin';
+    const id = String(record.id).replace(/[^\w.-]/g, '_');
+    if (key === 'file') return `audio/${id}.${extension}`;
+    if (key === 'cover') return `covers/${id}.${extension}`;
+    return `files/${id}-${key.replace(/[^\w.-]/g, '_')}.${extension}`;
+}
+
+async function exportLibrary(onStatus) {
+    const files = [];
+    const stores = {};
+    for (const storeName of BACKUP_STORES) {
+        onStatus(`Reading ${storeName}…`);
+        const records = (await idbGetAll(storeName))
+            .filter(record => storeName !== 'settings' || !BACKUP_EXCLUDED_SETTINGS.includes(record.id));
+        stores[storeName] = [];
+        for (const record of records) {
+            stores[storeName].push(await encodeRecordValue(record, async (blob, key) => {
+                const path = getBackupPath(record, key, blob);
+                files.push({ path, data: blob });
+                return path;
+            }));
+        }
+    }
+
+    const manifest = { format: BACKUP_FORMAT, version: BACKUP_VERSION, dbVersion, exportedAt: Date.now(), stores };
+    const archive = await createZip(
+        [{ path: 'manifest.json', data: JSON.stringify(manifest) }, ...files],
+        (done, total) => onStatus(`Packing file ${done} of ${total}…`)
+    );
+    downloadBlob(archive, `disc-player-library-${new Date().toISOString().slice(0, 10)}.zip`);
+    return { songs: stores.audio.length, playlists: stores.playlists.length };
+}
+
+// Paths of every file an encoded record refers to
+function getBackupBlobPaths(value, paths = new Set()) {
+    if (Array.isArray(value)) {
+        value.forEach(item => getBackupBlobPaths(item, paths));
+    } else if (value && typeof value === 'object') {
+        if (typeof value.$blob === 'string') {
+            paths.add(value.$blob);
+        } else {
+            Object.values(value).forEach(item => getBackupBlobPaths(item, paths));
+        }
+    }
+    return paths;
+}
+
+// Restore a backup. Merging keeps everything already here and skips songs whose
+// sha1_ id is already in the library; replacing clears the library first.
+async function importLibrary(file, { replace = false } = {}, onStatus) {
+    const entries = await readZipDirectory(file);
+    const entryByPath = new Map(entries.map(entry => [entry.path, entry]));
+    const manifestEntry = entryByPath.get('manifest.json');
+    if (!manifestEntry) throw new Error('This file is not a library backup.');
+    let manifest;
+    try {
+        manifest = JSON.parse(await (await readZipEntry(file, manifestEntry)).text());
+    } catch (error) {
+        throw new Error('The backup\'s manifest is damaged.');
+    }
+    if (manifest?.format !== BACKUP_FORMAT) throw new Error('This file is not a library backup.');
+    if (manifest.version > BACKUP_VERSION) throw new Error('This backup was made by a newer version of the player.');
+
+    const stores = manifest.stores || {};
+    // Check the whole backup before anything is written, so a damaged one can't
+    // leave a half-restored library behind
+    onStatus('Checking the backup…');
+    for (const storeName of BACKUP_STORES) {
+        if (stores[storeName] !== undefined && !Array.isArray(stores[storeName])) {
+            throw new Error(`The backup's ${storeName} list is damaged.`);
+        }
+        for (const path of getBackupBlobPaths(stores[storeName] || [])) {
+            const entry = entryByPath.get(path);
+            if (!entry) throw new Error(`The backup is missing ${path}`);
+            if (entry.offset + entry.compressedSize > file.size) throw new Error(`The backup is cut off at ${path}`);
+        }
+    }
+
+    const decodeBlob = (path, type) => {
+        const entry = entryByPath.get(path);
+        if (!entry) throw new Error(`The backup is missing ${path}`);
+        return readZipEntry(file, entry, type);
+    };
+
+    if (replace) {
+        onStatus('Clearing the library…');
+        const keptSettings = (await Promise.all(BACKUP_EXCLUDED_SETTINGS.map(key => idbGet('settings', key)))).filter(Boolean);
+        for (const storeName of [...BACKUP_STORES, 'queue']) {
+            await idbClear(storeName);
+        }
+        for (const setting of keptSettings) await idbPut('settings', setting);
+    }
+
+    // Records already here win when merging
+    const existingKeys = {};
+    for (const storeName of BACKUP_STORES) {
+        existingKeys[storeName] = new Set(await idbGetAllKeys(storeName));
+    }
+    const result = { added: 0, skipped: 0 };
+
+    const songs = stores.audio || [];
+    const addedSongIds = new Set();
+    // Backups from before songs counted their own plays
+    const backupPlayStats = buildPlayStats(stores.history || []);
+    for (const [index, record] of songs.entries()) {
+        onStatus(`Restoring song ${index + 1} of ${songs.length}…`);
+        if (existingKeys.audio.has(record.id)) {
+            result.skipped++;
+            continue;
+        }
+        const { file, ...song } = await decodeRecordValue(record, decodeBlob);
+        if (song.playCount === undefined) {
+            song.playCount = backupPlayStats.playCounts.get(song.id) || 0;
+            song.lastPlayedAt = backupPlayStats.lastPlayed.get(song.id) || null;
+        }
+        if (file instanceof Blob) {
+            await putSong(song, file);
+        } else {
+            await idbPut('audio', song);
+        }
+        existingKeys.audio.add(record.id);
+        addedSongIds.add(record.id);
+        result.added++;
+    }
+
+    // Songs that were skipped keep the audio file they already have
+    const audioFiles = (stores.audioFiles || []).filter(record => addedSongIds.has(record.id));
+    for (const [index, record] of audioFiles.entries()) {
+        onStatus(`Restoring audio file ${index + 1} of ${audioFiles.length}…`);
+        await idbPut('audioFiles', await decodeRecordValue(record, decodeBlob));
+    }
+
+    onStatus('Restoring playlists…');
+    for (const record of stores.playlists || []) {
+        if (existingKeys.playlists.has(record.id)) continue;
+        await idbPut('playlists', await decodeRecordValue(record, decodeBlob));
+        existingKeys.playlists.add(record.id);
+    }
+
+    // Imported entries go after whatever a playlist already holds, in their backup order
+    const nextPosition = new Map();
+    for (const entry of await getPlaylistEntries()) {
+        nextPosition.set(entry.playlistId, Math.max(nextPosition.get(entry.playlistId) || 0, entry.position + 1));
+    }
+    const playlistEntries = [...(stores.playlistSongs || [])].sort((a, b) => a.position - b.position);
+    for (const entry of playlistEntries) {
+        if (existingKeys.playlistSongs.has(entry.id)) continue;
+        if (!existingKeys.audio.has(entry.songId) || !existingKeys.playlists.has(entry.playlistId)) continue;
+        const position = nextPosition.get(entry.playlistId) || 0;
+        nextPosition.set(entry.playlistId, position + 1);
+        await idbPut('playlistSongs', { ...entry, position });
+    }
+
+    for (const entry of stores.history || []) {
+        if (!existingKeys.history.has(entry.id)) await idbPut('history', entry);
+    }
+    await trimHistory();
+
+    for (const setting of stores.settings || []) {
+        if (BACKUP_EXCLUDED_SETTINGS.includes(setting.id)) continue;
+        if (!replace && existingKeys.settings.has(setting.id)) continue;
+        await idbPut('settings', await decodeRecordValue(setting, decodeBlob));
+    }
+
+    return result;
+}
+
+function setLibraryStatus(text) {
+    if (libraryStatus) libraryStatus.textContent = text;
+}
+
+function setLibraryBusy(busy) {
+    libraryTaskRunning = busy;
+    libraryDialog.querySelectorAll('button').forEach(button => {
+        button.disabled = busy;
+    });
+}
+
+function openLibraryDialog() {
+    if (!libraryDialog) return;
+    if (!libraryTaskRunning) setLibraryStatus('');
+    libraryDialog.classList.add('active');
+    libraryDialog.setAttribute('aria-hidden', 'false');
+}
+
+function closeLibraryDialog() {
+    if (libraryTaskRunning) return;
+    libraryDialog.classList.remove('active');
+    libraryDialog.setAttribute('aria-hidden', 'true');
+}
+
+async function handleLibraryExport() {
+    setLibraryBusy(true);
+    try {
+        const { songs, playlists } = await exportLibrary(setLibraryStatus);
+        setLibraryStatus(`Exported ${songs} song${songs === 1 ? '' : 's'} and ${playlists} playlist${playlists === 1 ? '' : 's'}.`);
+    } catch (error) {
+        console.error('Error exporting library:', error);
+        setLibraryStatus('');
+        errorHandler.showError('Failed to export the library. Please try again.', { title: 'Export Failed' });
+    } finally {
+        setLibraryBusy(false);
+    }
+}
+
+async function handleLibraryImport(file) {
+    const replace = libraryDialog.querySelector('input[name="library-import-mode"]:checked')?.value === 'replace';
+    if (replace && !confirm('Replace your whole library with this backup? Songs, playlists and history that are not in the backup will be deleted.')) {
+        return;
+    }
+    setLibraryBusy(true);
+    try {
+        const { added, skipped } = await importLibrary(file, { replace }, setLibraryStatus);
+        setLibraryStatus(`Restored ${added} song${added === 1 ? '' : 's'}${skipped ? `, skipped ${skipped} already in your library` : ''}.`);
+        if (replace) {
+            // Settings, the queue and the loaded song all changed underneath the player
+            setLibraryStatus('Library restored. Reloading…');
+            setTimeout(() => location.reload(), 1000);
+            return;
+        }
+        await renderSongs();
+        analyzeMissingLoudness();
+    } catch (error) {
+        console.error('Error importing library:', error);
+        setLibraryStatus('');
+        errorHandler.showError(error.message || 'Failed to import the library.', { title: 'Import Failed' });
+    } finally {
+        setLibraryBusy(false);
+    }
+}
+
+if (libraryDialog) {
+    document.querySelector('.library-backup-button')?.addEventListener('click', (e) => {
+        e.stopPropagation();
+        openLibraryDialog();
+    });
+    libraryDialog.querySelector('.library-export-btn').addEventListener('click', handleLibraryExport);
+    libraryDialog.querySelector('.library-import-btn').addEventListener('click', () => libraryImportInput.click());
+    libraryImportInput.addEventListener('change', () => {
+        const [file] = libraryImportInput.files;
+        libraryImportInput.value = '';
+        if (file) handleLibraryImport(file);
+    });
+    libraryDialog.querySelector('.library-close-btn').addEventListener('click', closeLibraryDialog);
+    libraryDialog.addEventListener('click', (e) => {
+        if (e.target === libraryDialog) closeLibraryDialog();
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && libraryDialog.classList.contains('active')) closeLibraryDialog();
+    });
+}
+
+// Storage: what the library takes up, warnings before the browser's quota runs out, and cleanup
+const STORAGE_WARNING_RATIO = 0.9;
+const STORAGE_WARNING_INTERVAL = 10 * 60 * 1000;
+const STORAGE_SONG_LIST_LIMIT = 50;
+const UNPLAYED_MIN_AGE_DAYS = 30;
+const COVER_MAX_BYTES = 300 * 1024;
+const COVER_MAX_DIMENSION = 1000;
+const COVER_QUALITY = 0.85;
+
+const storageDialog = document.getElementById('storage-dialog');
+const storageStatus = document.querySelector('.storage-status');
+let storageTaskRunning = false;
+let storageCleanup = null; // what the cleanup buttons would act on, worked out when the dialog opens
+let storageWarningShownAt = 0;
+let persistenceRequested = false;
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    const units = ['KB', 'MB', 'GB', 'TB'];
+    let value = bytes / 1024;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toFixed(value < 10 ? 1 : 0)} ${units[unit]}`;
+}
+
+// Bytes a record takes up: its Blobs (cover art) plus a song's audio file, stored apart
+function getRecordBytes(record) {
+    return Object.values(record).reduce((total, value) => total + (value instanceof Blob ? value.size : 0), record.fileSize || 0);
+}
+
+async function getStorageEstimate() {
+    if (!navigator.storage?.estimate) return null;
+    const [{ usage = 0, quota = 0 }, persisted] = await Promise.all([
+        navigator.storage.estimate(),
+        navigator.storage.persisted ? navigator.storage.persisted() : false
+    ]);
+    return { usage, quota, persisted };
+}
+
+// Ask once per session for storage the browser won't clear when the disk runs low
+async function requestPersistentStorage() {
+    if (persistenceRequested || !navigator.storage?.persist) return false;
+    persistenceRequested = true;
+    try {
+        return (await navigator.storage.persisted()) || (await navigator.storage.persist());
+    } catch (error) {
+        console.warn('Persistent storage request failed:', error);
+        return false;
+    }
+}
+
+// Call before storing `bytes` more. Throws a QuotaExceededError when they won't fit
+// and warns (at most every few minutes) when the quota is getting close.
+async function ensureStorageRoom(bytes) {
+    requestPersistentStorage();
+    let estimate = null;
+    try {
+        estimate = await getStorageEstimate();
+    } catch (error) {
+        console.warn('Storage estimate failed:', error);
+    }
+    if (!estimate || !estimate.quota) return;
+
+    const { usage, quota } = estimate;
+    if (usage + bytes > quota) {
+        throw new DOMException(`Needs ${formatBytes(bytes)} but only ${formatBytes(Math.max(0, quota - usage))} of storage is left`, 'QuotaExceededError');
+    }
+    if (usage + bytes > quota * STORAGE_WARNING_RATIO && Date.now() - storageWarningShownAt > STORAGE_WARNING_INTERVAL) {
+        storageWarningShownAt = Date.now();
+        errorHandler.showWarning(`The library is using ${Math.round((usage + bytes) / quota * 100)}% of the space the browser allows. Free some up before imports start failing.`, {
+            title: 'Storage Almost Full',
+            duration: 10000,
+            actions: [{ text: 'Manage Storage', primary: true, action: openStorageDialog }]
+        });
+    }
+}
+
+function showStorageFullError() {
+    errorHandler.showError('There is no room left in the browser\'s storage for this song. Free up space and try again.', {
+        title: 'Storage Full',
+        duration: 10000,
+        actions: [{ text: 'Manage Storage', primary: true, action: openStorageDialog }]
+    });
+}
+
+// Scale a cover down and re-encode it as JPEG; null when that doesn't make it smaller
+async function compressCover(blob) {
+    const bitmap = await createImageBitmap(blob);
+    const scale = Math.min(1, COVER_MAX_DIMENSION / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+    canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+    const compressed = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', COVER_QUALITY));
+    return compressed && compressed.size < blob.size ? compressed : null;
+}
+
+function renderStorageRows(container, rows) {
+    container.innerHTML = '';
+    for (const { name, bytes } of rows) {
+        const row = document.createElement('div');
+        row.className = 'storage-row';
+        const nameEl = document.createElement('span');
+        nameEl.className = 'storage-row-name';
+        nameEl.textContent = name;
+        row.appendChild(nameEl);
+        if (bytes !== undefined) {
+            const sizeEl = document.createElement('span');
+            sizeEl.className = 'storage-row-size';
+            sizeEl.textContent = formatBytes(bytes);
+            row.appendChild(sizeEl);
+        }
+        container.appendChild(row);
+    }
+}
 
-        // If no embedded cover, try to fetch thumbnail provided by caller
-        if (!mergedMetadata.coverBlob && initialMetadata?.thumbnail) {
+// Bytes per playlist; a playlist counts its nested playlists' songs, each song once
+function getPlaylistBytes(playlists, entries, songs, songBytes) {
+    const childrenById = new Map();
+    for (const playlist of playlists) {
+        const key = playlist.parentId || null;
+        if (!childrenById.has(key)) childrenById.set(key, []);
+        childrenById.get(key).push(playlist);
+    }
+    const songIdsByPlaylist = new Map();
+    for (const entry of entries) {
+        if (!songIdsByPlaylist.has(entry.playlistId)) songIdsByPlaylist.set(entry.playlistId, []);
+        songIdsByPlaylist.get(entry.playlistId).push(entry.songId);
+    }
+    const collect = (playlist, ids, seen) => {
+        if (seen.has(playlist.id)) return;
+        seen.add(playlist.id);
+        const songIds = playlist.smart
+            ? getSmartPlaylistSongs(playlist, songs).map(song => song.id)
+            : songIdsByPlaylist.get(playlist.id) || [];
+        songIds.forEach(id => ids.add(id));
+        for (const child of childrenById.get(playlist.id) || []) collect(child, ids, seen);
+    };
+    return new Map(playlists.map(playlist => {
+        const ids = new Set();
+        collect(playlist, ids, new Set());
+        let bytes = getRecordBytes(playlist);
+        for (const id of ids) bytes += songBytes.get(id) || 0;
+        return [playlist.id, bytes];
+    }));
+}
+
+async function refreshStorageDialog() {
+    const [estimate, songs, playlists, entries, queue, lastPlayedId] = await Promise.all([
+        getStorageEstimate().catch(() => null),
+        idbGetAll('audio'),
+        idbGetAll('playlists'),
+        getPlaylistEntries(),
+        idbGetAll('queue'),
+        getSetting('lastPlayedId')
+    ]);
+    const songBytes = new Map(songs.map(song => [song.id, getRecordBytes(song)]));
+    const libraryBytes = [...songBytes.values(), ...playlists.map(getRecordBytes)].reduce((a, b) => a + b, 0);
+
+    const meterFill = storageDialog.querySelector('.storage-meter-fill');
+    const usageEl = storageDialog.querySelector('.storage-usage');
+    const persistBtn = storageDialog.querySelector('.storage-persist-btn');
+    if (estimate && estimate.quota) {
+        const percent = Math.min(100, estimate.usage / estimate.quota * 100);
+        meterFill.style.width = `${percent}%`;
+        meterFill.classList.toggle('warning', percent >= STORAGE_WARNING_RATIO * 100);
+        usageEl.textContent = `${formatBytes(estimate.usage)} of ${formatBytes(estimate.quota)} used (${Math.round(percent)}%), ${formatBytes(libraryBytes)} of it songs and covers. `
+            + (estimate.persisted ? 'Kept until you delete it.' : 'The browser may clear it when the disk runs low.');
+        persistBtn.hidden = estimate.persisted || !navigator.storage?.persist;
+    } else {
+        meterFill.style.width = '0%';
+        usageEl.textContent = `Songs and covers take ${formatBytes(libraryBytes)}. This browser doesn't report how much space is left.`;
+        persistBtn.hidden = true;
+    }
+
+    const playlistBytes = getPlaylistBytes(playlists, entries, songs, songBytes);
+    const playlistById = new Map(playlists.map(playlist => [playlist.id, playlist]));
+    renderStorageRows(
+        storageDialog.querySelector('.storage-playlists'),
+        playlists.length
+            ? playlists
+                .map(playlist => ({ name: getPlaylistPath(playlist.id, playlistById), bytes: playlistBytes.get(playlist.id) }))
+                .sort((a, b) => b.bytes - a.bytes)
+            : [{ name: 'No playlists yet.' }]
+    );
+
+    const songRows = songs
+        .map(song => ({ name: `${song.title || 'UNKNOWN'} – ${song.artist || 'UNNAMED'}`, bytes: songBytes.get(song.id) }))
+        .sort((a, b) => b.bytes - a.bytes);
+    const hiddenSongs = songRows.length - STORAGE_SONG_LIST_LIMIT;
+    renderStorageRows(
+        storageDialog.querySelector('.storage-songs'),
+        songRows.length
+            ? [...songRows.slice(0, STORAGE_SONG_LIST_LIMIT), ...(hiddenSongs > 0 ? [{ name: `and ${hiddenSongs} smaller song${hiddenSongs === 1 ? '' : 's'}` }] : [])]
+            : [{ name: 'No songs yet.' }]
+    );
+
+    // Never played according to the song's own lifetime counter (history is trimmed and
+    // can't tell), and not just imported or about to play. Songs without a counter are left alone.
+    const cutoff = Date.now() - UNPLAYED_MIN_AGE_DAYS * 24 * 60 * 60 * 1000;
+    const queuedIds = new Set(queue.map(entry => entry.songId));
+    const unplayed = songs.filter(song => song.playCount === 0 && !song.lastPlayedAt
+        && (song.createdAt || 0) < cutoff
+        && song.id !== lastPlayedId
+        && !queuedIds.has(song.id));
+    const covers = [
+        ...songs.filter(song => song.cover instanceof Blob && song.cover.size > COVER_MAX_BYTES).map(song => ({ store: 'audio', id: song.id, bytes: song.cover.size })),
+        ...playlists.filter(playlist => playlist.cover instanceof Blob && playlist.cover.size > COVER_MAX_BYTES).map(playlist => ({ store: 'playlists', id: playlist.id, bytes: playlist.cover.size }))
+    ];
+    const playlistCleanup = findPlaylistCleanup(playlists, entries, new Set(songs.map(song => song.id)));
+    storageCleanup = { unplayed, covers, playlistCleanup };
+
+    const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+    const unplayedBytes = unplayed.reduce((total, song) => total + songBytes.get(song.id), 0);
+    const coverBytes = covers.reduce((total, cover) => total + cover.bytes, 0);
+    const { emptyIds, orphans } = playlistCleanup;
+    storageDialog.querySelector('.storage-unplayed-text').textContent =
+        `${plural(unplayed.length, 'song')} added over ${UNPLAYED_MIN_AGE_DAYS} days ago and never played${unplayed.length ? ` (${formatBytes(unplayedBytes)})` : ''}`;
+    storageDialog.querySelector('.storage-covers-text').textContent =
+        `${plural(covers.length, 'cover')} over ${formatBytes(COVER_MAX_BYTES)}${covers.length ? ` (${formatBytes(coverBytes)})` : ''}`;
+    storageDialog.querySelector('.storage-playlists-text').textContent =
+        `${plural(emptyIds.size, 'empty playlist')}${orphans.length ? `, ${plural(orphans.length, 'playlist')} left without a parent` : ''}`;
+    storageDialog.querySelector('.storage-unplayed-btn').disabled = !unplayed.length;
+    storageDialog.querySelector('.storage-covers-btn').disabled = !covers.length;
+    storageDialog.querySelector('.storage-playlists-btn').disabled = !emptyIds.size && !orphans.length;
+}
+
+function setStorageStatus(text) {
+    if (storageStatus) storageStatus.textContent = text;
+}
+
+async function openStorageDialog() {
+    if (!storageDialog || storageDialog.classList.contains('active')) return;
+    setStorageStatus('Measuring the library…');
+    storageDialog.querySelectorAll('.library-action-btn').forEach(button => {
+        button.disabled = true;
+    });
+    storageDialog.classList.add('active');
+    storageDialog.setAttribute('aria-hidden', 'false');
+    try {
+        await refreshStorageDialog();
+        setStorageStatus('');
+    } catch (error) {
+        console.error('Error measuring storage:', error);
+        setStorageStatus('Something went wrong while measuring the library.');
+    }
+}
+
+function closeStorageDialog() {
+    if (storageTaskRunning) return;
+    storageDialog.classList.remove('active');
+    storageDialog.setAttribute('aria-hidden', 'true');
+}
+
+// Run a cleanup action, then measure again; the action returns the status line to show
+async function runStorageTask(task) {
+    storageTaskRunning = true;
+    storageDialog.querySelectorAll('button').forEach(button => {
+        button.disabled = true;
+    });
+    try {
+        const message = await task();
+        await refreshStorageDialog();
+        setStorageStatus(message || '');
+    } catch (error) {
+        console.error('Error cleaning up storage:', error);
+        setStorageStatus('');
+        errorHandler.showError('Failed to clean up storage. Please try again.', { title: 'Cleanup Failed' });
+    } finally {
+        storageTaskRunning = false;
+        storageDialog.querySelector('.storage-close-btn').disabled = false;
+        storageDialog.querySelector('.storage-persist-btn').disabled = false;
+    }
+}
+
+async function removeUnplayedSongs() {
+    const { unplayed } = storageCleanup;
+    const bytes = unplayed.reduce((total, song) => total + getRecordBytes(song), 0);
+    if (!confirm(`Delete ${unplayed.length} never played song${unplayed.length === 1 ? '' : 's'} (${formatBytes(bytes)})? This can't be undone.`)) {
+        return null;
+    }
+    for (const [index, song] of unplayed.entries()) {
+        setStorageStatus(`Deleting song ${index + 1} of ${unplayed.length}…`);
+        await deleteSong(song.id);
+    }
+    // Their playlist memberships go too, along with playlists left empty
+    await cleanupEmptyPlaylists();
+    return `Deleted ${unplayed.length} song${unplayed.length === 1 ? '' : 's'}, freeing ${formatBytes(bytes)}.`;
+}
+
+async function shrinkLargeCovers() {
+    const { covers } = storageCleanup;
+    let saved = 0;
+    let shrunk = 0;
+    for (const [index, { store, id }] of covers.entries()) {
+        setStorageStatus(`Shrinking cover ${index + 1} of ${covers.length}…`);
+        const record = await idbGet(store, id);
+        if (!(record?.cover instanceof Blob)) continue;
+        try {
+            const compressed = await compressCover(record.cover);
+            if (!compressed) continue;
+            saved += record.cover.size - compressed.size;
+            shrunk++;
+            await idbPut(store, { ...record, cover: compressed });
+        } catch (error) {
+            // Covers the browser can't decode are left as they are
+            console.warn('Could not shrink cover of', id, error);
+        }
+    }
+    if (shrunk) await renderSongs();
+    return shrunk
+        ? `Shrank ${shrunk} cover${shrunk === 1 ? '' : 's'}, freeing ${formatBytes(saved)}.`
+        : 'None of the covers got any smaller.';
+}
+
+async function removeEmptyPlaylists() {
+    const { deleted, reattached } = await cleanupEmptyPlaylists();
+    const parts = [];
+    if (deleted) parts.push(`deleted ${deleted} empty playlist${deleted === 1 ? '' : 's'}`);
+    if (reattached) parts.push(`moved ${reattached} playlist${reattached === 1 ? '' : 's'} without a parent to the top level`);
+    const message = parts.join(' and ');
+    return message ? `${message[0].toUpperCase()}${message.slice(1)}.` : 'Nothing to clean up.';
+}
+
+if (storageDialog) {
+    document.querySelector('.storage-button')?.addEventListener('click', (e) => {
+        e.stopPropagation();
+        openStorageDialog();
+    });
+    storageDialog.querySelector('.storage-persist-btn').addEventListener('click', () => runStorageTask(async () => {
+        // Asking again from a click lets browsers that prompt show their prompt
+        persistenceRequested = false;
+        return await requestPersistentStorage()
+            ? 'The browser will keep your library.'
+            : 'The browser declined to keep the library persistently.';
+    }));
+    storageDialog.querySelector('.storage-unplayed-btn').addEventListener('click', () => runStorageTask(removeUnplayedSongs));
+    storageDialog.querySelector('.storage-covers-btn').addEventListener('click', () => runStorageTask(shrinkLargeCovers));
+    storageDialog.querySelector('.storage-playlists-btn').addEventListener('click', () => runStorageTask(removeEmptyPlaylists));
+    storageDialog.querySelector('.storage-close-btn').addEventListener('click', closeStorageDialog);
+    storageDialog.addEventListener('click', (e) => {
+        if (e.target === storageDialog) closeStorageDialog();
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && storageDialog.classList.contains('active')) closeStorageDialog();
+    });
+}
+
+// Compute a stable ID for a file (SHA-1 of content, fallback to name-size-mtime)
+async function computeFileId(file) {
+    try {
+        const buffer = await file.arrayBuffer();
+        const hashBuffer = await crypto.subtle.digest('SHA-1', buffer);
+        const hashArray = Array.from(new Uint8Array(hashBuffer));
+        const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+        return `sha1_${hashHex}`;
+    } catch (err) {
+        return `${file.name}_${file.size}_${file.lastModified}`;
+    }
+}
+
+// Store an audio file in the library without touching playback.
+// Returns { record, coverUrl, existing }; coverUrl is an object URL for the embedded cover (or null).
+async function importAudioFile(file, { initialMetadata = null, playlistId = null, skipExisting = false } = {}) {
+    // Compute ID and extract metadata
+    const [id, extracted] = await Promise.all([
+        computeFileId(file),
+        extractMetadata(file)
+    ]);
+
+    if (skipExisting) {
+        const existing = await idbGet('audio', id);
+        if (existing) {
+            if (extracted.coverUrl) URL.revokeObjectURL(extracted.coverUrl);
+            // Already in the library, but it still belongs in the folder it came with
+            if (playlistId) await addSongToPlaylist(id, playlistId);
+            return { record: existing, coverUrl: null, existing: true };
+        }
+    }
+
+    // Merge metadata: prefer initial metadata from caller, then extracted, then filename fallback
+    const filenameMeta = deriveMetadataFromFilename(file.name);
+    const mergedMetadata = {
+        title: (initialMetadata?.title || extracted.title || filenameMeta.title || 'UNKNOWN').toString(),
+        artist: (initialMetadata?.artist || initialMetadata?.author || extracted.artist || filenameMeta.artist || 'UNNAMED').toString(),
+        coverBlob: extracted.coverBlob || null,
+        coverUrl: extracted.coverUrl || null
+    };
+
+    // If no embedded cover, try to fetch thumbnail provided by caller
+    if (!mergedMetadata.coverBlob && initialMetadata?.thumbnail) {
+    }
+
+    // Generate a permanent gradient if no cover art
+    const gradient = !mergedMetadata.coverBlob ? generateRandomGradient() : null;
+
+    try {
+        await ensureStorageRoom(file.size + (mergedMetadata.coverBlob?.size || 0));
+    } catch (error) {
+        if (mergedMetadata.coverUrl) URL.revokeObjectURL(mergedMetadata.coverUrl);
+        throw error;
+    }
+
+    // Store in IndexedDB (upsert without clearing)
+    let audioRecord = {
+        id,
+        title: mergedMetadata.title,
+        artist: mergedMetadata.artist,
+        cover: mergedMetadata.coverBlob || null,
+        gradient: gradient, // Store permanent gradient if no cover
+        replayGain: extracted.replayGain || null,
+        // Callers pass metadata for songs fetched from a URL
+        source: initialMetadata ? 'url' : 'local',
+        createdAt: Date.now(),
+        playCount: 0,
+        lastPlayedAt: null
+    };
+    for (const field of TAG_FIELDS) {
+        if (extracted[field] !== null && extracted[field] !== undefined) audioRecord[field] = extracted[field];
+    }
+    audioRecord = await putSong(audioRecord, file);
+    if (playlistId) await addSongToPlaylist(id, playlistId);
+    scheduleLoudnessAnalysis(id);
+
+    return { record: audioRecord, coverUrl: mergedMetadata.coverUrl, existing: false };
+}
+
+// Process the dropped audio file
+async function processAudioFile(file, initialMetadata = null) {
+    try {
+        // Stop any currently playing audio
+        stopAudio();
+        
+        // Clean up any existing record cover URL
+        if (currentRecordCoverUrl && currentRecordCoverUrl.startsWith('blob:')) {
+            URL.revokeObjectURL(currentRecordCoverUrl);
+            currentRecordCoverUrl = null;
         }
 
-        // Generate a permanent gradient if no cover art
-        const gradient = !mergedMetadata.coverBlob ? generateRandomGradient() : null;
-
-        // Store in IndexedDB (upsert without clearing)
-        const audioRecord = {
-            id,
-            file,
-            title: mergedMetadata.title,
-            artist: mergedMetadata.artist,
-            cover: mergedMetadata.coverBlob || null,
-            gradient: gradient, // Store permanent gradient if no cover
-            createdAt: Date.now()
-        };
-        await idbPut('audio', audioRecord);
+        const { record, coverUrl } = await importAudioFile(file, { initialMetadata });
 
         // Update UI appearance and text
-        songTitleElement.textContent = mergedMetadata.title || 'UNKNOWN';
-        songAuthorElement.textContent = mergedMetadata.artist || 'UNNAMED';
-        if (mergedMetadata.coverUrl) {
-            setCurrentRecordCover(mergedMetadata.coverUrl);
-            updateRecordAppearance(mergedMetadata.coverUrl);
-        } else if (gradient) {
-            updateRecordAppearance(gradient);
+        songTitleElement.textContent = record.title || 'UNKNOWN';
+        songAuthorElement.textContent = record.artist || 'UNNAMED';
+        // Drop the previous song's cue points and A-B loop
+        loadCuePoints(record);
+        // Its own effects override, and "this song only" changes saved to it
+        applyEffectsForSong(record);
+        updateMediaSessionMetadata(record);
+        if (coverUrl) {
+            setCurrentRecordCover(coverUrl);
+            updateRecordAppearance(coverUrl);
+        } else if (record.gradient) {
+            updateRecordAppearance(record.gradient);
         } else {
             updateRecordAppearance();
         }
 
         // Set up audio playback
-        await setupAudioPlayback(file);
+        await setupAudioPlayback(file, record.id);
+        await saveSetting('lastPlayedId', record.id);
 
         // Start rotation and play audio
         handlePlayback();
@@ -1092,67 +3143,56 @@ async function processAudioFile(file, initialMetadata = null) {
 
     } catch (error) {
         console.error('Error processing audio file:', error);
+        if (error?.name === 'QuotaExceededError') showStorageFullError();
     }
 }
 
-// Extract metadata from audio file (returns { title, artist, coverBlob, coverUrl })
+// Tag fields kept on the audio record alongside title and artist
+const TAG_FIELDS = [
+    'album', 'albumArtist', 'trackNumber', 'trackTotal', 'discNumber', 'discTotal',
+    'year', 'genre', 'composer', 'bpm', 'comment', 'lyrics', 'syncedLyrics'
+];
+
+// Extract metadata from audio file (returns { title, artist, coverBlob, coverUrl, replayGain, pictures, ...TAG_FIELDS })
 async function extractMetadata(file) {
-    const metadata = { title: 'UNKNOWN', artist: 'UNNAMED', coverBlob: null, coverUrl: null };
+    const metadata = { title: 'UNKNOWN', artist: 'UNNAMED', coverBlob: null, coverUrl: null, replayGain: null, pictures: [] };
+    for (const field of TAG_FIELDS) metadata[field] = null;
     try {
         const arrayBuffer = await file.arrayBuffer();
-        const uint8Array = new Uint8Array(arrayBuffer);
-        
-        // Look for ID3v2 header
-        if (uint8Array[0] === 0x49 && uint8Array[1] === 0x44 && uint8Array[2] === 0x33) {
-            // Parse ID3v2 tags
-            let offset = 10; // Skip main header
-            const size = ((uint8Array[6] & 0x7f) << 21) |
-                        ((uint8Array[7] & 0x7f) << 14) |
-                        ((uint8Array[8] & 0x7f) << 7) |
-                        (uint8Array[9] & 0x7f);
-
-            while (offset < size + 10) {
-                const frameID = String.fromCharCode(...uint8Array.slice(offset, offset + 4));
-                const frameSize = (uint8Array[offset + 4] << 24) |
-                                (uint8Array[offset + 5] << 16) |
-                                (uint8Array[offset + 6] << 8) |
-                                uint8Array[offset + 7];
-                
-                // Check for common text frames (TPE1 for artist, TIT2 for title)
-                if (frameID === 'TPE1' || frameID === 'TIT2') {
-                    const encoding = uint8Array[offset + 10];
-                    const textContent = getTextFrameContent(uint8Array, offset + 11, frameSize - 1, encoding);
-
-                    if (frameID === 'TIT2') {
-                        metadata.title = textContent || 'UNKNOWN';
-                    } else if (frameID === 'TPE1') {
-                        metadata.artist = textContent || 'UNNAMED';
-                    }
-                }
-                
-                // Check for APIC frame (attached picture)
-                if (frameID === 'APIC') {
-                    const pictureData = uint8Array.slice(offset + 10, offset + 10 + frameSize);
-                    let imgStart = 0;
-                    
-                    // Find image data start
-                    for (let i = 0; i < pictureData.length - 2; i++) {
-                        if (pictureData[i] === 0xFF && pictureData[i + 1] === 0xD8) {
-                            imgStart = i;
-                            break;
-                        }
-                    }
-                    
-                    const blob = new Blob([pictureData.slice(imgStart)], { type: 'image/jpeg' });
-                    metadata.coverBlob = blob;
-                    metadata.coverUrl = URL.createObjectURL(blob);
-                    // No need to continue parsing once we found cover art; break after setting
-                }
-                
-                offset += 10 + frameSize;
+        // ID3 (MP3), FLAC, Ogg Vorbis/Opus, MP4/M4A or WAV
+        const tag = readTags(new Uint8Array(arrayBuffer));
+        if (!tag) return metadata;
+
+        metadata.title = tag.title || 'UNKNOWN';
+        metadata.artist = tag.artist || 'UNNAMED';
+        for (const field of TAG_FIELDS) {
+            if (field === 'syncedLyrics') continue;
+            if (tag[field] !== null && tag[field] !== undefined) metadata[field] = tag[field];
+        }
+        // Millisecond timestamps are the only kind we can line up with playback
+        const synced = tag.syncedLyrics.find(l => l.timestampFormat === 'milliseconds' && l.lines.length);
+        if (synced) metadata.syncedLyrics = synced.lines;
+
+        for (const [description, value] of Object.entries(tag.userText)) {
+            const key = REPLAYGAIN_TAGS[description.toUpperCase()];
+            const parsed = key ? parseReplayGainValue(value) : null;
+            if (parsed !== null) {
+                metadata.replayGain = { ...metadata.replayGain, [key]: parsed };
             }
         }
-        
+
+        metadata.pictures = tag.pictures.map(picture => ({
+            type: picture.type,
+            typeName: picture.typeName,
+            description: picture.description,
+            blob: new Blob([picture.data], { type: picture.mimeType })
+        }));
+        const cover = pickCoverPicture(tag.pictures);
+        if (cover) {
+            metadata.coverBlob = metadata.pictures[tag.pictures.indexOf(cover)].blob;
+            metadata.coverUrl = URL.createObjectURL(metadata.coverBlob);
+        }
+
         // Update UI fallbacks handled by caller
         return metadata;
         
@@ -1162,6 +3202,71 @@ async function extractMetadata(file) {
     }
 }
 
+// Tag for an exported file, built from the record so edits made in the app are kept
+async function buildExportTag(song) {
+    const tag = {
+        // The edit dialog stores these placeholders for empty fields
+        title: song.title && song.title !== 'UNKNOWN' ? song.title : null,
+        artist: song.artist && song.artist !== 'UNNAMED' ? song.artist : null,
+        userText: {},
+        picture: null
+    };
+    for (const field of TAG_FIELDS) {
+        if (field !== 'syncedLyrics') tag[field] = song[field] ?? null;
+    }
+    for (const [description, key] of Object.entries(REPLAYGAIN_TAGS)) {
+        const value = song.replayGain?.[key];
+        if (typeof value !== 'number') continue;
+        tag.userText[description] = key.endsWith('Gain') ? `${value.toFixed(2)} dB` : value.toFixed(6);
+    }
+    if (song.cover instanceof Blob) {
+        const data = new Uint8Array(await song.cover.arrayBuffer());
+        tag.picture = { mimeType: normalizeImageMime(song.cover.type, data), data };
+    }
+    return tag;
+}
+
+const EXPORT_EXTENSIONS = { MP3: 'mp3', FLAC: 'flac', MP4: 'm4a' };
+
+function getExportFileName(song, format) {
+    const originalName = song.fileName || '';
+    const extension = originalName.includes('.')
+        ? originalName.split('.').pop()
+        : EXPORT_EXTENSIONS[format] || (song.fileType || '').split('/').pop() || 'audio';
+    const base = [song.artist, song.title]
+        .filter(part => part && part !== 'UNNAMED' && part !== 'UNKNOWN')
+        .join(' - ') || originalName.replace(/\.[^/.]+$/, '') || 'song';
+    return `${base.replace(/[\\/:*?"<>|]/g, '_')}.${extension}`;
+}
+
+// Download the song with its current metadata written into the file.
+// Returns the tag format written, or null when the file went out untouched.
+async function exportSong(songId) {
+    const [song, file] = await Promise.all([idbGet('audio', songId), getSongFile(songId)]);
+    if (!song || !file) {
+        throw new Error('Song not found');
+    }
+
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const result = writeTags(bytes, await buildExportTag(song), file.type || null);
+    const blob = result ? result.blob : file;
+
+    downloadBlob(blob, getExportFileName(song, result?.format));
+    return result ? result.format : null;
+}
+
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the browser a moment to start the download before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+
 // Fallback: derive title/artist from filename patterns like "Artist - Title.ext"
 function deriveMetadataFromFilename(filename) {
     try {
@@ -1191,20 +3296,279 @@ function deriveMetadataFromFilename(filename) {
     }
 }
 
-// Helper function to get the next song in the playlist
-async function getNextSong(currentId) {
+// Playback modes (persisted through saveSetting)
+const REPEAT_MODES = ['off', 'all', 'one'];
+let repeatMode = 'all'; // 'off' | 'all' | 'one'
+let shuffleEnabled = false;
+// Where auto-advance draws songs from: the whole library or one playlist (optionally with nested playlists)
+let playbackContext = { type: 'library' };
+
+async function loadPlaybackModes() {
+    const savedRepeat = await getSetting('repeatMode');
+    const savedShuffle = await getSetting('shuffleEnabled');
+    const savedContext = await getSetting('playbackContext');
+    const savedCrossfade = await getSetting('crossfadeSeconds');
+    const savedEffects = await getSetting('audioEffects');
+    const savedVinyl = await getSetting('vinylSettings');
+    const savedNormalization = await getSetting('normalizationMode');
+    if (NORMALIZATION_MODES.includes(savedNormalization)) normalizationMode = savedNormalization;
+    if (REPEAT_MODES.includes(savedRepeat)) repeatMode = savedRepeat;
+    if (typeof savedCrossfade === 'number') crossfadeSeconds = Math.max(0, Math.min(MAX_CROSSFADE_SECONDS, savedCrossfade));
+    if (savedEffects) globalEffectsSettings = normalizeEffectsSettings(savedEffects);
+    if (savedVinyl) {
+        vinylSettings = { ...vinylSettings, ...savedVinyl };
+        if (!RPM_SPEEDS[vinylSettings.rpm]) vinylSettings.rpm = '33';
+        if (vinylSimulator) vinylSimulator.apply(vinylSettings);
+        decks.forEach(applyDeckPlaybackRate);
+        applyPitchShift();
+    }
+    shuffleEnabled = savedShuffle === true;
+    if (savedContext && savedContext.type === 'playlist' && await idbGet('playlists', savedContext.playlistId)) {
+        playbackContext = savedContext;
+    }
+    updatePlaybackModeButtons();
+    updateCrossfadeControl();
+    applyActiveEffects();
+    updateVinylControls();
+    updateNormalizationControl();
+    decks.forEach(applyDeckNormalization);
+    await updatePlayingFromLabel();
+}
+
+async function setPlaybackContext(context) {
+    playbackContext = context && context.type === 'playlist'
+        ? { type: 'playlist', playlistId: context.playlistId, includeChildren: !!context.includeChildren }
+        : { type: 'library' };
+    await saveSetting('playbackContext', playbackContext);
+    await updatePlayingFromLabel();
+    preloadNextSong();
+}
+
+function getPlaybackContextKey(context = playbackContext) {
+    return context.type === 'playlist'
+        ? `playlist:${context.playlistId}:${context.includeChildren ? 'nested' : 'flat'}`
+        : 'library';
+}
+
+// Songs of the current playback context, in the order they appear in the songs panel
+async function getContextSongs(context = playbackContext) {
+    const [songs, playlists] = await Promise.all([
+        idbGetAll('audio'),
+        idbGetAll('playlists')
+    ]);
+    const sortByCreatedDesc = (arr) => arr.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+
+    if (context.type !== 'playlist' || !playlists.some(p => p.id === context.playlistId)) {
+        return sortByCreatedDesc(songs);
+    }
+
+    const entries = await getPlaylistEntries();
+    const songById = new Map(songs.map(s => [s.id, s]));
+    const ordered = [];
+    const collect = (playlistId) => {
+        const playlist = playlists.find(p => p.id === playlistId);
+        if (playlist?.smart) {
+            ordered.push(...sortByCreatedDesc(getSmartPlaylistSongs(playlist, songs)));
+            return;
+        }
+        if (context.includeChildren) {
+            const children = sortByCreatedDesc(playlists.filter(p => p.parentId === playlistId));
+            for (const child of children) collect(child.id);
+        }
+        for (const entry of entries) {
+            if (entry.playlistId === playlistId && songById.has(entry.songId)) ordered.push(songById.get(entry.songId));
+        }
+    };
+    collect(context.playlistId);
+    // With nested playlists a song can turn up more than once; play it the first time
+    return [...new Set(ordered)];
+}
+
+// Songs the library currently has for a smart playlist's rules
+function getSmartPlaylistSongs(playlist, songs) {
+    return songs.filter(song => matchesSmartRules(playlist, song, {
+        playCount: song.playCount || 0,
+        lastPlayedAt: song.lastPlayedAt || null,
+        duration: getSongDuration(song),
+        source: getSongSource(song)
+    }));
+}
+
+// Create a smart playlist, or edit one's name and rules
+async function openSmartPlaylistDialog(playlist = null, parentId = null) {
+    const songs = await idbGetAll('audio');
+    showSmartPlaylistDialog(playlist, {
+        countMatches: async (draft) => getSmartPlaylistSongs(draft, songs).length,
+        onSave: async ({ name, match, rules }) => {
+            if (playlist) {
+                await updatePlaylist(playlist.id, { name: name || playlist.name, match, rules });
+            } else {
+                await createPlaylist({ name, parentId, match, rules });
+            }
+            await renderSongs();
+            preloadNextSong();
+        }
+    });
+}
+
+// Whether a playlist sits inside the current context's playlist tree
+function isPlaylistInContext(playlistId, playlists, context = playbackContext) {
+    if (context.type !== 'playlist') return false;
+    let checkId = playlistId;
+    while (checkId) {
+        if (checkId === context.playlistId) return true;
+        if (!context.includeChildren) return false;
+        const pl = playlists.find(p => p.id === checkId);
+        checkId = pl ? pl.parentId : null;
+    }
+    return false;
+}
+
+async function playPlaylist(playlistId, { includeChildren = false } = {}) {
+    await setPlaybackContext({ type: 'playlist', playlistId, includeChildren });
+    const songs = await getContextSongs();
+    if (!songs.length) {
+        errorHandler.showWarning('This playlist has no songs yet.', { title: 'Nothing to Play', duration: 3000 });
+        return;
+    }
+    const first = shuffleEnabled ? songs[Math.floor(Math.random() * songs.length)] : songs[0];
+    if (shuffleEnabled) {
+        await saveSetting('shuffleState', createShuffleState(songs.map(s => s.id), first.id));
+    }
+    await loadSong(first, true);
+}
+
+async function cycleRepeatMode() {
+    const index = REPEAT_MODES.indexOf(repeatMode);
+    repeatMode = REPEAT_MODES[(index + 1) % REPEAT_MODES.length];
+    await saveSetting('repeatMode', repeatMode);
+    updatePlaybackModeButtons();
+    preloadNextSong();
+}
+
+async function toggleShuffle() {
+    shuffleEnabled = !shuffleEnabled;
+    await saveSetting('shuffleEnabled', shuffleEnabled);
+    if (shuffleEnabled) {
+        // Start a fresh cycle that counts the current song as already played
+        const currentId = await getSetting('lastPlayedId');
+        const songs = await getContextSongs();
+        await saveSetting('shuffleState', createShuffleState(songs.map(s => s.id), currentId));
+    }
+    updatePlaybackModeButtons();
+    preloadNextSong();
+}
+
+function shuffleArray(arr) {
+    for (let i = arr.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [arr[i], arr[j]] = [arr[j], arr[i]];
+    }
+    return arr;
+}
+
+// A shuffle cycle is a saved permutation plus the index of the last played entry,
+// tied to the playback context it was drawn from
+function createShuffleState(ids, firstId = null) {
+    const contextKey = getPlaybackContextKey();
+    const rest = shuffleArray(ids.filter(id => id !== firstId));
+    if (firstId && ids.includes(firstId)) {
+        return { order: [firstId, ...rest], position: 0, contextKey };
+    }
+    return { order: rest, position: -1, contextKey };
+}
+
+// Bring a saved cycle in line with the library: drop deleted songs and
+// slot newly added ones somewhere into the unplayed part of the cycle
+function reconcileShuffleState(state, ids) {
+    const idSet = new Set(ids);
+    let position = state.position;
+    const order = [];
+    state.order.forEach((id, index) => {
+        if (idSet.has(id)) {
+            order.push(id);
+        } else if (index <= state.position) {
+            position--;
+        }
+    });
+    const known = new Set(order);
+    for (const id of ids) {
+        if (known.has(id)) continue;
+        const insertAt = position + 1 + Math.floor(Math.random() * (order.length - position));
+        order.splice(insertAt, 0, id);
+    }
+    return { order, position: Math.max(-1, position), contextKey: state.contextKey };
+}
+
+async function getNextShuffledSong(songs, currentId, userInitiated, peek = false) {
+    const ids = songs.map(s => s.id);
+    const saved = await getSetting('shuffleState');
+    let state = saved && Array.isArray(saved.order) && saved.contextKey === getPlaybackContextKey()
+        ? reconcileShuffleState(saved, ids)
+        : createShuffleState(ids, currentId);
+
+    // A song picked by hand from later in the cycle counts as played now
+    const currentIndex = state.order.indexOf(currentId);
+    if (currentIndex > state.position) {
+        state.order.splice(currentIndex, 1);
+        state.order.splice(state.position + 1, 0, currentId);
+        state.position++;
+    }
+
+    if (state.position + 1 >= state.order.length) {
+        // Cycle used up
+        if (repeatMode === 'off' && !userInitiated) {
+            if (!peek) await saveSetting('shuffleState', state);
+            return null;
+        }
+        state = createShuffleState(ids);
+        // Avoid replaying the song that just finished straight away
+        if (state.order.length > 1 && state.order[0] === currentId) {
+            state.order.push(state.order.shift());
+        }
+    }
+
+    state.position++;
+    // Peeking (for preloading) must not advance the saved cycle
+    if (!peek) await saveSetting('shuffleState', state);
+    const nextId = state.order[state.position];
+    return songs.find(s => s.id === nextId) || null;
+}
+
+// Helper function to get the next song (play queue first, then the playback context's order).
+// With peek set, nothing is consumed: the queue and shuffle cycle are left as they are.
+async function getNextSong(currentId, { userInitiated = false, peek = false } = {}) {
     try {
-        const songs = await idbGetAll('audio');
+        // Repeat-one keeps looping the current song on auto-advance
+        if (repeatMode === 'one' && !userInitiated && currentId) {
+            const current = await idbGet('audio', currentId);
+            if (current) return current;
+        }
+
+        const queued = peek ? await peekQueuedSong() : await dequeueNextSong();
+        if (queued) {
+            if (!peek && songsPanel && songsPanel.classList.contains('open')) {
+                renderSongs();
+            }
+            return queued;
+        }
+
+        // Already ordered the way the songs panel shows the context
+        const songs = await getContextSongs();
         if (!songs.length) return null;
-        
-        // Sort by creation date like in renderSongs
-        songs.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+
+        if (shuffleEnabled) {
+            return await getNextShuffledSong(songs, currentId, userInitiated, peek);
+        }
         
         // Find current song index
         const currentIndex = songs.findIndex(song => song.id === currentId);
         
-        // If current song not found or it's the last song, loop to first song
-        if (currentIndex === -1 || currentIndex === songs.length - 1) {
+        // At the end of the context, loop to the first song unless repeat is off
+        if (currentIndex === songs.length - 1) {
+            return repeatMode === 'off' && !userInitiated ? null : songs[0];
+        }
+        if (currentIndex === -1) {
             return songs[0];
         }
         
@@ -1216,66 +3580,552 @@ async function getNextSong(currentId) {
     }
 }
 
-// Set up audio playback
-async function setupAudioPlayback(file) {
-    try {
-        // Create HTML5 Audio element for easier pause/resume control
-        currentAudio = new Audio();
-        const audioUrl = URL.createObjectURL(file);
-        currentAudio.src = audioUrl;
-        
-        // Initialize Web Audio API context and analyzer
-        if (!audioContext) {
-            audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            
-            // Main analyzer for simple bar visualization
-            analyzer = audioContext.createAnalyser();
-            analyzer.fftSize = FFT_SIZE;
-            dataArray = new Uint8Array(analyzer.frequencyBinCount);
+// Playback decks: two persistent audio elements, each with its own source and
+// gain node, summed into one mix bus so the next track can be preloaded and
+// overlapped with the current one
+const decks = [];
+let activeDeckIndex = 0;
+let deckPlayCounter = 0; // bumped each time a deck starts a song, so replays count separately
+let crossfadeSeconds = 0; // 0 = gapless hand-off on 'ended'
+let transitionState = null; // { fromDeck, toDeck, timer } while tracks overlap
+const MAX_CROSSFADE_SECONDS = 12;
+
+function ensureAudioGraph() {
+    if (audioContext) return;
+    audioContext = new (window.AudioContext || window.webkitAudioContext)();
+
+    // Main analyzer for simple bar visualization
+    analyzer = audioContext.createAnalyser();
+    analyzer.fftSize = FFT_SIZE;
+    dataArray = new Uint8Array(analyzer.frequencyBinCount);
+
+    // Audio chain: deck sources -> loudness normalizers -> pitch shift -> deck gains -> mix bus -> vinyl -> effects -> sleep fade -> analyzer -> destination
+    // (the analyzer sits after the effects so the visualizer shows the post-EQ signal)
+    mixBus = audioContext.createGain();
+    vinylSimulator = new VinylSimulator(audioContext);
+    vinylSimulator.apply(vinylSettings);
+    vinylSimulator.setNeedleDown(isPlaying);
+    effectsChain = new AudioEffectsChain(audioContext);
+    effectsChain.apply(getActiveEffectsSettings());
+    mixBus.connect(vinylSimulator.input);
+    vinylSimulator.output.connect(effectsChain.input);
+    sleepGain = audioContext.createGain();
+    effectsChain.output.connect(sleepGain);
+    sleepGain.connect(analyzer);
+    analyzer.connect(audioContext.destination);
+
+    decks.push(createDeck(), createDeck());
+    currentAudio = decks[activeDeckIndex].audio;
+}
+
+function createDeck() {
+    const audio = new Audio();
+    audio.preload = 'auto';
+    const source = audioContext.createMediaElementSource(audio);
+    // Per-track loudness correction, kept apart from the crossfade gain
+    const normalizer = audioContext.createGain();
+    // Each deck shifts its own song, so a crossfade doesn't re-pitch the outgoing one
+    const pitchShifter = new PitchShifter(audioContext);
+    const gain = audioContext.createGain();
+    source.connect(normalizer);
+    normalizer.connect(pitchShifter.input);
+    pitchShifter.output.connect(gain);
+    gain.connect(mixBus);
+
+    const deck = { audio, source, normalizer, pitchShifter, gain, url: null, songId: null, file: null, playId: null, speed: normalizePlaybackSpeed() };
+
+    audio.addEventListener('ended', () => handleDeckEnded(deck));
+    audio.addEventListener('timeupdate', () => handleDeckTimeUpdate(deck));
+    audio.addEventListener('loadeddata', () => {
+        // Update progress bar when audio is loaded
+        if (deck.audio === currentAudio) updateProgressBar();
+    });
+    // Update progress bar on metadata load (for duration)
+    audio.addEventListener('loadedmetadata', () => {
+        if (deck.audio === currentAudio) {
+            updateProgressBar();
+            // Markers need the duration
+            renderProgressMarkers();
+        }
+    });
+
+    return deck;
+}
+
+function getIdleDeck() {
+    return decks[(activeDeckIndex + 1) % decks.length];
+}
+
+function loadDeck(deck, file, songId, song = null) {
+    if (deck.url) {
+        URL.revokeObjectURL(deck.url);
+    }
+    deck.url = URL.createObjectURL(file);
+    deck.songId = songId;
+    deck.playId = ++deckPlayCounter;
+    deck.file = file;
+    deck.speed = normalizePlaybackSpeed(song && song.playbackSpeed);
+    deck.audio.src = deck.url;
+    deck.audio.load();
+    applyDeckPlaybackRate(deck);
+    applyPitchShift();
+    applyDeckNormalization(deck);
+}
+
+// Vinyl mode: surface noise and wow/flutter, plus the turntable speed.
+// The RPM drives both the playback rate and how fast the record spins.
+let vinylSettings = { enabled: false, rpm: '33', crackle: 0.5 };
+
+// The RPM only counts while vinyl mode is on; otherwise songs play at 33⅓
+function getTurntableRate() {
+    return vinylSettings.enabled ? getRpmRate(vinylSettings.rpm) : 1;
+}
+
+// Turntable speed times the song's own speed setting
+function getPlaybackRate(deck = decks[activeDeckIndex]) {
+    const speed = deck ? deck.speed.rate : 1;
+    return getTurntableRate() * speed;
+}
+
+// Spin speed relative to a 33⅓ record playing at normal speed
+function getRecordSpeedFactor() {
+    return getPlaybackRate();
+}
+
+function applyDeckPlaybackRate(deck) {
+    const rate = getPlaybackRate(deck);
+    // With preserve pitch off, speed changes the pitch like a real turntable
+    deck.audio.preservesPitch = deck.speed.preservePitch;
+    deck.audio.defaultPlaybackRate = rate;
+    deck.audio.playbackRate = rate;
+}
+
+// Per-song speed (0.5×–2×), kept on the audio record as playbackSpeed
+const DEFAULT_PLAYBACK_SPEED = { rate: 1, preservePitch: true, semitones: 0 };
+
+function normalizePlaybackSpeed(settings) {
+    const base = { ...DEFAULT_PLAYBACK_SPEED, ...(settings || {}) };
+    return {
+        rate: Math.max(0.5, Math.min(2, Number(base.rate) || 1)),
+        preservePitch: base.preservePitch !== false,
+        semitones: Math.max(-12, Math.min(12, Math.round(Number(base.semitones) || 0)))
+    };
+}
+
+// Each deck's pitch shifter follows the song loaded on it. Preserving pitch
+// also cancels the RPM's pitch change, so it's added back here.
+function applyPitchShift() {
+    for (const deck of decks) {
+        const rpmPitch = deck.speed.preservePitch ? getTurntableRate() : 1;
+        deck.pitchShifter.setRatio(semitonesToRatio(deck.speed.semitones) * rpmPitch);
+    }
+}
+
+function applyActiveSpeed() {
+    applyPitchShift();
+    updateSpeedControls();
+}
+
+async function updateSongSpeed(updates) {
+    const deck = decks[activeDeckIndex];
+    if (!deck || !deck.songId) return;
+    const speed = normalizePlaybackSpeed({ ...deck.speed, ...updates });
+    // The idle deck may hold the same song (repeat one)
+    for (const d of decks) {
+        if (d.songId === deck.songId) {
+            d.speed = speed;
+            applyDeckPlaybackRate(d);
         }
+    }
+    applyActiveSpeed();
 
-        // Connect audio element to analyzer
-        if (audioSource) {
-            audioSource.disconnect();
+    const song = await idbGet('audio', deck.songId);
+    if (song) {
+        song.playbackSpeed = speed;
+        await idbPut('audio', song);
+    }
+}
+
+async function updateVinylSettings(updates) {
+    vinylSettings = { ...vinylSettings, ...updates };
+    if (!RPM_SPEEDS[vinylSettings.rpm]) vinylSettings.rpm = '33';
+    await saveSetting('vinylSettings', vinylSettings);
+    if (vinylSimulator) vinylSimulator.apply(vinylSettings);
+    decks.forEach(applyDeckPlaybackRate);
+    applyPitchShift();
+    updateVinylControls();
+}
+
+// Loudness normalization: every track is measured once (or read from its
+// ReplayGain tags) and played back at the same reference loudness. Playlist
+// mode levels a playlist as a whole, like an album, keeping its internal dynamics.
+const NORMALIZATION_MODES = ['off', 'track', 'playlist'];
+let normalizationMode = 'track';
+let loudnessAnalysisQueue = Promise.resolve();
+const loudnessPending = new Set();
+
+// Gain (dB) and peak for a song under the current mode, or null to leave it untouched
+async function getSongGain(song) {
+    if (!song || normalizationMode === 'off') return null;
+    const tags = song.replayGain || {};
+    const measured = song.loudness && typeof song.loudness.integrated === 'number' ? song.loudness : null;
+
+    const siblings = normalizationMode === 'playlist' ? await getLoudnessSiblings(song) : null;
+    if (siblings) {
+        if (typeof tags.albumGain === 'number') {
+            return { gainDb: tags.albumGain, peak: tags.albumPeak ?? tags.trackPeak ?? 0 };
         }
-        audioSource = audioContext.createMediaElementSource(currentAudio);
-        
-        // Simple audio chain: source -> analyzer -> destination
-        audioSource.connect(analyzer);
-        analyzer.connect(audioContext.destination);
-        
-        // Add event listeners
-        currentAudio.addEventListener('ended', async () => {
-            isPlaying = false;
-            stopRotation();
-            stopProgressBarAnimation();
-            updatePlayPauseButton();
-            
-            // Get and play next song
-            const currentId = await getSetting('lastPlayedId');
-            const nextSong = await getNextSong(currentId);
-            
-            if (nextSong) {
-                await loadSong(nextSong, true); // Load and play the next song
+        const combined = combineLoudness(siblings.map(s => s.loudness));
+        if (combined) {
+            return { gainDb: REFERENCE_LOUDNESS - combined.integrated, peak: combined.peak };
+        }
+    }
+
+    if (typeof tags.trackGain === 'number') {
+        return { gainDb: tags.trackGain, peak: tags.trackPeak ?? measured?.peak ?? 0 };
+    }
+    if (measured) {
+        return { gainDb: REFERENCE_LOUDNESS - measured.integrated, peak: measured.peak };
+    }
+    return null;
+}
+
+// Songs a playlist-level gain is worked out over: the playing playlist when it holds
+// the song, otherwise the first playlist the song is in (null when it's in none)
+async function getLoudnessSiblings(song) {
+    if (playbackContext.type === 'playlist') {
+        const contextSongs = await getContextSongs();
+        if (contextSongs.some(s => s.id === song.id)) return contextSongs;
+    }
+    const entry = (await getPlaylistEntries()).find(e => e.songId === song.id);
+    return entry ? getContextSongs({ type: 'playlist', playlistId: entry.playlistId, includeChildren: false }) : null;
+}
+
+async function applyDeckNormalization(deck) {
+    if (!deck || !deck.normalizer) return;
+    const songId = deck.songId;
+    let gain = 1;
+    try {
+        const song = songId ? await idbGet('audio', songId) : null;
+        const result = await getSongGain(song);
+        if (result) gain = getNormalizationGain(result.gainDb, result.peak);
+    } catch (error) {
+        console.error('Error applying loudness normalization:', error);
+    }
+    // The deck moved on to another song meanwhile
+    if (deck.songId !== songId) return;
+    deck.normalizer.gain.setTargetAtTime(gain, audioContext.currentTime, 0.05);
+}
+
+async function setNormalizationMode(mode) {
+    if (!NORMALIZATION_MODES.includes(mode)) return;
+    normalizationMode = mode;
+    await saveSetting('normalizationMode', mode);
+    decks.forEach(applyDeckNormalization);
+    updateNormalizationControl();
+}
+
+// Measure a stored song in the background; one at a time, each song only once
+function scheduleLoudnessAnalysis(songId) {
+    if (loudnessPending.has(songId)) return loudnessAnalysisQueue;
+    loudnessPending.add(songId);
+    loudnessAnalysisQueue = loudnessAnalysisQueue.then(async () => {
+        try {
+            const song = await idbGet('audio', songId);
+            if (!song || song.loudness) return;
+            const file = await getSongFile(songId);
+            if (!file) return;
+            let loudness;
+            try {
+                loudness = await analyzeFileLoudness(file);
+            } catch (error) {
+                console.warn(`Could not analyze loudness of "${song.title}":`, error);
+                loudness = { integrated: null, peak: null, duration: null };
             }
-        });
-        
-        currentAudio.addEventListener('loadeddata', () => {
-            console.log('Audio loaded and ready to play');
-            // Update progress bar when audio is loaded
-            updateProgressBar();
-        });
-        
-        // Update progress bar on metadata load (for duration)
-        currentAudio.addEventListener('loadedmetadata', () => {
-            updateProgressBar();
-        });
-        
+            // Re-read: the record may have been edited while we were decoding
+            const latest = await idbGet('audio', songId);
+            if (!latest) return;
+            latest.loudness = { ...loudness, analyzedAt: Date.now() };
+            await idbPut('audio', latest);
+            // Playlist gains depend on every member, so refresh both decks
+            decks.forEach(deck => {
+                if (deck.songId) applyDeckNormalization(deck);
+            });
+        } catch (error) {
+            console.error('Error analyzing loudness:', error);
+        } finally {
+            loudnessPending.delete(songId);
+        }
+    });
+    return loudnessAnalysisQueue;
+}
+
+// Catch up on songs stored before normalization existed
+async function analyzeMissingLoudness() {
+    const songs = await idbGetAll('audio');
+    for (const song of songs) {
+        if (!song.loudness) scheduleLoudnessAnalysis(song.id);
+    }
+}
+
+function setDeckGain(deck, value) {
+    const now = audioContext.currentTime;
+    deck.gain.gain.cancelScheduledValues(now);
+    deck.gain.gain.setValueAtTime(value, now);
+}
+
+// Set up audio playback
+async function setupAudioPlayback(file, songId = null, song = null) {
+    try {
+        ensureAudioGraph();
+
+        // A manual load ends any crossfade in progress
+        finishTransition({ preload: false });
+
+        const idleDeck = getIdleDeck();
+        idleDeck.audio.pause();
+        setDeckGain(idleDeck, 0);
+
+        const deck = decks[activeDeckIndex];
+        setDeckGain(deck, 1);
+        loadDeck(deck, file, songId, song);
+        currentAudio = deck.audio;
+        applyActiveSpeed();
+
+        preloadNextSong();
     } catch (error) {
         console.error('Error setting up audio playback:', error);
     }
 }
 
+// Buffer the upcoming song on the idle deck so the hand-off has no load gap
+async function preloadNextSong() {
+    try {
+        const currentDeck = decks[activeDeckIndex];
+        if (!currentDeck || !currentDeck.songId || transitionState) return;
+        const nextSong = await getNextSong(currentDeck.songId, { peek: true });
+        if (!nextSong || transitionState || getIdleDeck().songId === nextSong.id) return;
+        const file = await getSongFile(nextSong.id);
+        // Things may have moved on while the file was read
+        const idleDeck = getIdleDeck();
+        if (!file || transitionState || idleDeck.songId === nextSong.id || decks[activeDeckIndex] !== currentDeck) return;
+        loadDeck(idleDeck, file, nextSong.id, nextSong);
+    } catch (error) {
+        console.error('Error preloading next song:', error);
+    }
+}
+
+// Move playback to the next song on the idle deck, fading over fadeSeconds
+async function startTransition(fadeSeconds) {
+    if (transitionState) return true;
+    const fromDeck = decks[activeDeckIndex];
+    const toDeck = getIdleDeck();
+    const transition = { fromDeck, toDeck, timer: null, started: false };
+    transitionState = transition;
+
+    const nextSong = await getNextSong(fromDeck.songId);
+    // Superseded while looking up the next song (manual load, pause, scrub)
+    if (transitionState !== transition) return true;
+    if (!nextSong) {
+        transitionState = null;
+        return false;
+    }
+
+    if (toDeck.songId !== nextSong.id) {
+        const file = await getSongFile(nextSong.id);
+        if (transitionState !== transition) return true;
+        if (!file) {
+            transitionState = null;
+            return false;
+        }
+        loadDeck(toDeck, file, nextSong.id, nextSong);
+    } else {
+        toDeck.audio.currentTime = 0;
+        toDeck.playId = ++deckPlayCounter;
+    }
+
+    activeDeckIndex = decks.indexOf(toDeck);
+    currentAudio = toDeck.audio;
+    transition.started = true;
+    applyActiveSpeed();
+
+    const now = audioContext.currentTime;
+    toDeck.gain.gain.cancelScheduledValues(now);
+    fromDeck.gain.gain.cancelScheduledValues(now);
+    if (fadeSeconds > 0) {
+        toDeck.gain.gain.setValueAtTime(0, now);
+        toDeck.gain.gain.linearRampToValueAtTime(1, now + fadeSeconds);
+        fromDeck.gain.gain.setValueAtTime(fromDeck.gain.gain.value, now);
+        fromDeck.gain.gain.linearRampToValueAtTime(0, now + fadeSeconds);
+    } else {
+        toDeck.gain.gain.setValueAtTime(1, now);
+        fromDeck.gain.gain.setValueAtTime(0, now);
+    }
+
+    try {
+        await toDeck.audio.play();
+        isPlaying = true;
+        startRotation();
+        startProgressBarAnimation();
+        updatePlayPauseButton();
+        drawVisualization(true);
+    } catch (error) {
+        console.error('Error starting next track:', error);
+    }
+
+    if (transitionState === transition) {
+        transition.timer = setTimeout(() => finishTransition(), fadeSeconds * 1000);
+    }
+    await showSongDetails(nextSong);
+    return true;
+}
+
+// Settle an in-progress crossfade: the outgoing deck stops, the incoming one is at full level
+function finishTransition({ preload = true } = {}) {
+    if (!transitionState) return;
+    const { fromDeck, toDeck, timer, started } = transitionState;
+    clearTimeout(timer);
+    transitionState = null;
+    // Nothing has been handed over yet, the current deck keeps playing as is
+    if (!started) return;
+    fromDeck.audio.pause();
+    setDeckGain(fromDeck, 0);
+    setDeckGain(toDeck, 1);
+    if (preload) {
+        preloadNextSong();
+    }
+}
+
+async function handleDeckEnded(deck) {
+    // The outgoing deck of a crossfade ending is expected
+    if (deck.audio !== currentAudio || transitionState) return;
+    if (isDragging || isProgressBarDragging) return;
+
+    if (isSleepTimerArmed()) {
+        await completeSleepTimer();
+        return;
+    }
+
+    // B at the very end of the track: loop back instead of advancing
+    if (isAbLoopActive()) {
+        currentAudio.currentTime = abLoop.a;
+        currentAudio.play().catch(err => console.error('Error restarting loop:', err));
+        return;
+    }
+
+    const advanced = await startTransition(0);
+    if (!advanced) {
+        isPlaying = false;
+        stopRotation();
+        stopProgressBarAnimation();
+        updatePlayPauseButton();
+    }
+}
+
+function handleDeckTimeUpdate(deck) {
+    trackListening(deck);
+    checkSleepTimerTrackEnd(deck);
+    if (deck.audio !== currentAudio || !isPlaying) return;
+    // rAF stops in background tabs, so the loop is also checked here
+    enforceAbLoop();
+    if (transitionState || crossfadeSeconds <= 0 || isAbLoopActive()) return;
+    // The sleep timer is fading this track out; don't start the next one
+    if (isSleepTimerArmed()) return;
+    if (isDragging || isProgressBarDragging) return;
+    const { duration, currentTime } = deck.audio;
+    // Skip crossfading tracks too short to fade out of
+    if (!duration || duration < crossfadeSeconds * 2) return;
+    const remaining = (duration - currentTime) / (deck.audio.playbackRate || 1);
+    if (remaining <= crossfadeSeconds) {
+        startTransition(remaining);
+    }
+}
+
+// Equalizer and effects: one user-wide setting, optionally overridden per song
+// by an `effects` object stored on the audio record
+let globalEffectsSettings = getDefaultEffectsSettings();
+let songEffectsOverride = null; // effects of the loaded song, if it has its own
+let effectsSongId = null;
+const SONG_EFFECTS_SAVE_DELAY_MS = 300;
+let pendingSongEffects = null; // { songId, effects, timer } while a slider is being dragged
+
+function getActiveEffectsSettings() {
+    return songEffectsOverride || globalEffectsSettings;
+}
+
+function applyActiveEffects() {
+    if (effectsChain) {
+        effectsChain.apply(getActiveEffectsSettings());
+    }
+    updateEffectsControls();
+}
+
+function applyEffectsForSong(song) {
+    effectsSongId = song ? song.id : null;
+    songEffectsOverride = song && song.effects ? normalizeEffectsSettings(song.effects) : null;
+    applyActiveEffects();
+}
+
+async function updateEffectsSettings(updates) {
+    const next = normalizeEffectsSettings({ ...getActiveEffectsSettings(), ...updates });
+    if (songEffectsOverride && effectsSongId) {
+        songEffectsOverride = next;
+        scheduleSongEffectsSave(effectsSongId, next);
+    } else {
+        globalEffectsSettings = next;
+        await saveSetting('audioEffects', next);
+    }
+    applyActiveEffects();
+}
+
+// Sliders fire on every step, so a song's effects are saved once they settle
+function scheduleSongEffectsSave(songId, effects) {
+    if (pendingSongEffects && pendingSongEffects.songId !== songId) flushSongEffectsSave();
+    if (pendingSongEffects) clearTimeout(pendingSongEffects.timer);
+    pendingSongEffects = { songId, effects, timer: setTimeout(flushSongEffectsSave, SONG_EFFECTS_SAVE_DELAY_MS) };
+}
+
+// Only `effects` changes, on a record read in the same transaction, so play
+// counts and analysis results written meanwhile are kept
+function flushSongEffectsSave() {
+    if (!pendingSongEffects) return Promise.resolve();
+    const { songId, effects, timer } = pendingSongEffects;
+    clearTimeout(timer);
+    pendingSongEffects = null;
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(['audio'], 'readwrite');
+        const store = tx.objectStore('audio');
+        store.get(songId).onsuccess = (event) => {
+            const song = event.target.result;
+            if (song) store.put({ ...song, effects });
+        };
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    }).catch(err => console.error('Error saving song effects:', err));
+}
+
+// Turn the loaded song's own effects on (starting from the current sound) or off
+async function setSongEffectsOverride(enabled) {
+    if (!effectsSongId) return;
+    await flushSongEffectsSave();
+    const song = await idbGet('audio', effectsSongId);
+    if (!song) return;
+    if (enabled) {
+        song.effects = normalizeEffectsSettings(getActiveEffectsSettings());
+    } else {
+        delete song.effects;
+    }
+    await idbPut('audio', song);
+    applyEffectsForSong(song);
+}
+
+async function setCrossfadeSeconds(seconds) {
+    const value = Math.max(0, Math.min(MAX_CROSSFADE_SECONDS, Number(seconds) || 0));
+    crossfadeSeconds = value;
+    await saveSetting('crossfadeSeconds', value);
+    updateCrossfadeControl();
+}
+
 // Handle record click for playback
 async function handlePlayback() {
     if (!currentAudio) return;
@@ -1288,6 +4138,7 @@ async function handlePlayback() {
 
         if (isPlaying) {
             // Pause the audio
+            finishTransition();
             currentAudio.pause();
             isPlaying = false;
             stopRotation();
@@ -1314,6 +4165,8 @@ function startRotation() {
     
     lastTime = performance.now();
     animateRotation();
+    // Needle on the record: surface noise only while spinning
+    if (vinylSimulator) vinylSimulator.setNeedleDown(true);
 }
 
 // Stop rotation animation
@@ -1322,10 +4175,12 @@ function stopRotation() {
         cancelAnimationFrame(animationId);
         animationId = null;
     }
+    if (vinylSimulator) vinylSimulator.setNeedleDown(false);
 }
 
 // Stop audio playback
 function stopAudio() {
+    finishTransition({ preload: false });
     if (currentAudio && isPlaying) {
         currentAudio.pause();
         isPlaying = false;
@@ -1337,6 +4192,9 @@ function stopAudio() {
 
 // Update play/pause button icon
 function updatePlayPauseButton() {
+    updateMediaSessionPlaybackState();
+    updateMediaSessionPosition(true);
+
     if (!playPauseButton) return;
     
     const icon = playPauseButton.querySelector('i');
@@ -1426,7 +4284,7 @@ function animateRotation() {
     lastTime = currentTime;
     
     // Update rotation angle
-    rotationAngle += ROTATION_SPEED * deltaTime;
+    rotationAngle += ROTATION_SPEED * getRecordSpeedFactor() * deltaTime;
     rotationAngle = rotationAngle % 360; // Keep angle between 0-360
     
     // Apply rotation to elements
@@ -1483,6 +4341,8 @@ function updateProgressBar() {
         const progress = (currentAudio.currentTime / currentAudio.duration) * 100;
         updateProgressVisuals(progress);
     }
+
+    updateMediaSessionPosition();
 }
 
 function updateProgressVisuals(progress) {
@@ -1497,6 +4357,7 @@ function startProgressBarAnimation() {
     
     function animateProgress() {
         if (currentAudio && currentAudio.duration && isPlaying && !isProgressBarDragging) {
+            enforceAbLoop();
             updateProgressBar();
         }
         
@@ -1527,6 +4388,7 @@ function setProgressBarTime(percentage) {
     // Update visuals immediately and synchronously
     updateProgressVisuals(clampedPercentage);
     progressTimeCurrentElement.textContent = formatTime(currentAudio.currentTime);
+    updateMediaSessionPosition(true);
     
     // Sync record rotation with progress bar scrubbing
     // Calculate rotation based on time: TIME_PER_ROTATION = 5 seconds
@@ -1541,39 +4403,89 @@ function setProgressBarTime(percentage) {
 }
 
 // Handle scrubbing functionality
+// Mouse and touch events both end up here; touches use their first point
+function getPointerPoint(e) {
+    if (e.touches && e.touches.length > 0) return e.touches[0];
+    if (e.changedTouches && e.changedTouches.length > 0) return e.changedTouches[0];
+    return e;
+}
+
+// Scratch audio: while the record is dragged a decoded copy of the track plays
+// through an AudioWorklet at a rate that follows the hand. Without worklet
+// support (or before decoding finishes) scrubbing falls back to seeking.
+let scratchEngine = null;
+let scratchActive = false;
+let scratchIdleTimer = null;
+let lastScrubMoveTime = 0;
+let scratchSession = 0;
+const SCRUB_SECONDS_PER_ROTATION = 5;
+
+function getScratchEngine() {
+    if (!ScratchEngine.isSupported(audioContext)) return null;
+    if (!scratchEngine) {
+        scratchEngine = new ScratchEngine(audioContext, mixBus);
+        scratchEngine.onPosition = (seconds) => {
+            if (!scratchActive || !currentAudio || !currentAudio.duration) return;
+            updateProgressVisuals((seconds / currentAudio.duration) * 100);
+            progressTimeCurrentElement.textContent = formatTime(seconds);
+        };
+    }
+    return scratchEngine;
+}
+
+// Start decoding the loaded track so it is ready by the time a drag turns into a scrub
+function prepareScratch() {
+    const engine = getScratchEngine();
+    const deck = decks[activeDeckIndex];
+    if (!engine || !deck || !deck.songId || !deck.file) return;
+    engine.load(deck.songId, deck.file).catch(err => console.warn('Scratch audio unavailable:', err));
+}
+
 function handleScrubStart(e) {
     e.preventDefault();
+    // A new press starts fresh, whatever the last drag left behind
+    suppressRecordClick = false;
     if (!currentAudio || !currentAudio.duration) return;
 
+    // Scrub the incoming track rather than a half-faded pair
+    finishTransition();
+
+    const point = getPointerPoint(e);
     isDragging = true;
     wasPlaying = isPlaying;
     mouseDownTime = Date.now();
-    mouseStartX = e.clientX;
-    mouseStartY = e.clientY;
+    mouseStartX = point.clientX;
+    mouseStartY = point.clientY;
     isScrubbing = false; // Reset scrubbing state
     
     initialPlaybackTime = currentAudio.currentTime;
     recordRect = record.getBoundingClientRect();
-    dragStartAngle = Math.atan2(e.clientY - (recordRect.top + recordRect.height / 2), 
-                               e.clientX - (recordRect.left + recordRect.width / 2)) * (180 / Math.PI);
+    dragStartAngle = Math.atan2(point.clientY - (recordRect.top + recordRect.height / 2), 
+                               point.clientX - (recordRect.left + recordRect.width / 2)) * (180 / Math.PI);
     lastAngle = dragStartAngle;
     cumulativeRotations = 0;
+    lastScrubMoveTime = performance.now();
+
+    prepareScratch();
 }
 
 function handleScrubbing(e) {
     e.preventDefault();
     if (!isDragging || !currentAudio || !currentAudio.duration) return;
 
+    const point = getPointerPoint(e);
+
     // Check if we should start scrubbing
     if (!isScrubbing) {
-        const dx = e.clientX - mouseStartX;
-        const dy = e.clientY - mouseStartY;
+        const dx = point.clientX - mouseStartX;
+        const dy = point.clientY - mouseStartY;
         const distance = Math.sqrt(dx * dx + dy * dy);
         const timeSinceMouseDown = Date.now() - mouseDownTime;
         
         // Start scrubbing if mouse moved more than 5px or held for more than 200ms
         if (distance > 5 || timeSinceMouseDown > 200) {
             isScrubbing = true;
+            scratchSession++;
             // Only now do we show the rotation display and pause normal playback
             rotationDisplay.style.display = 'block';
             rotationDisplay.textContent = '0.00×';
@@ -1582,6 +4494,16 @@ function handleScrubbing(e) {
                 stopRotation();
                 stopProgressBarAnimation();
             }
+            // Hand the sound over to the scratch worklet if the track is decoded
+            const engine = getScratchEngine();
+            const deck = decks[activeDeckIndex];
+            if (engine && deck && engine.isLoaded(deck.songId)) {
+                // Grabbing the record again while it settles continues from where the worklet is
+                const startTime = scratchActive ? engine.position : currentAudio.currentTime;
+                currentAudio.pause();
+                engine.start(startTime, wasPlaying ? getPlaybackRate() : 0);
+                scratchActive = true;
+            }
         } else {
             return; // Not scrubbing yet
         }
@@ -1589,7 +4511,7 @@ function handleScrubbing(e) {
 
     const centerX = recordRect.left + recordRect.width / 2;
     const centerY = recordRect.top + recordRect.height / 2;
-    const currentAngle = Math.atan2(e.clientY - centerY, e.clientX - centerX) * (180 / Math.PI);
+    const currentAngle = Math.atan2(point.clientY - centerY, point.clientX - centerX) * (180 / Math.PI);
     let angleDelta = currentAngle - lastAngle;
 
     // Handle angle wrapping
@@ -1602,29 +4524,44 @@ function handleScrubbing(e) {
     // Update rotation display with 2 decimal places
     rotationDisplay.textContent = `${cumulativeRotations.toFixed(2)}×`;
 
-    // Calculate new playback time based on rotations
-    const TIME_PER_ROTATION = 5; // seconds
-    const timeDelta = cumulativeRotations * TIME_PER_ROTATION;
-    let newPlaybackTime = initialPlaybackTime + timeDelta;
+    if (scratchActive) {
+        // Playback rate follows the record's angular speed (one turn = SCRUB_SECONDS_PER_ROTATION of audio)
+        const now = performance.now();
+        const elapsedSeconds = Math.max(4, now - lastScrubMoveTime) / 1000;
+        lastScrubMoveTime = now;
+        const degreesPerSecond = angleDelta / elapsedSeconds;
+        const rate = degreesPerSecond / (360 / SCRUB_SECONDS_PER_ROTATION);
+        scratchEngine.setRate(Math.max(-8, Math.min(8, rate)));
+
+        // A hand holding the record still stops it
+        clearTimeout(scratchIdleTimer);
+        scratchIdleTimer = setTimeout(() => {
+            if (scratchActive) scratchEngine.setRate(0);
+        }, 60);
+    } else {
+        // Calculate new playback time based on rotations
+        const timeDelta = cumulativeRotations * SCRUB_SECONDS_PER_ROTATION;
+        let newPlaybackTime = initialPlaybackTime + timeDelta;
+
+        // Clamp playback time to valid range
+        newPlaybackTime = Math.max(0, Math.min(newPlaybackTime, currentAudio.duration));
 
-    // Clamp playback time to valid range
-    newPlaybackTime = Math.max(0, Math.min(newPlaybackTime, currentAudio.duration));
+        // Update audio time
+        currentAudio.currentTime = newPlaybackTime;
 
-    // Update audio time
-    currentAudio.currentTime = newPlaybackTime;
+        // Update progress bar to sync with record scrubbing
+        if (currentAudio.duration) {
+            const progress = (currentAudio.currentTime / currentAudio.duration) * 100;
+            updateProgressVisuals(progress);
+            progressTimeCurrentElement.textContent = formatTime(currentAudio.currentTime);
+        }
+    }
 
     // Update visual rotation of the record
     rotationAngle = (rotationAngle + angleDelta) % 360;
     record.style.setProperty('--record-rotation', `${rotationAngle}deg`);
     recordInner.style.transform = `rotate(${rotationAngle}deg)`;
 
-    // Update progress bar to sync with record scrubbing
-    if (currentAudio.duration) {
-        const progress = (currentAudio.currentTime / currentAudio.duration) * 100;
-        updateProgressVisuals(progress);
-        progressTimeCurrentElement.textContent = formatTime(currentAudio.currentTime);
-    }
-
     // Update last angle for next calculation
     lastAngle = currentAngle;
 
@@ -1639,9 +4576,16 @@ function handleScrubEnd(e) {
     isDragging = false;
 
     if (isScrubbing) {
+        // The click that follows a mouse drag must not toggle playback. Only a mouseup
+        // on the record is followed by one; leaving the record isn't
+        if (e.type === 'mouseup') {
+            suppressRecordClick = true;
+        }
         // Was scrubbing - hide display and restore previous playback state
         rotationDisplay.style.display = 'none';
-        if (wasPlaying) {
+        if (scratchActive) {
+            settleScratch(wasPlaying);
+        } else if (wasPlaying) {
             currentAudio.play().then(() => {
                 isPlaying = true;
                 startRotation();
@@ -1656,10 +4600,49 @@ function handleScrubEnd(e) {
     isScrubbing = false;
 }
 
+// Let go of the record: the worklet eases back to normal speed (or to a stop
+// if it was paused), then the audio element takes over from where it ended up
+async function settleScratch(resumePlayback) {
+    const session = scratchSession;
+    clearTimeout(scratchIdleTimer);
+    const position = await scratchEngine.settle(resumePlayback ? getPlaybackRate() : 0);
+    // A new drag started while settling; it owns the worklet now
+    if (session !== scratchSession) return;
+
+    scratchEngine.stop();
+    scratchActive = false;
+    currentAudio.currentTime = Math.max(0, Math.min(position, currentAudio.duration || position));
+    updateProgressBar();
+
+    if (resumePlayback) {
+        try {
+            await currentAudio.play();
+            isPlaying = true;
+            startRotation();
+            startProgressBarAnimation();
+            updatePlayPauseButton();
+            drawVisualization();
+        } catch (err) {
+            console.error('Error resuming playback:', err);
+        }
+    }
+}
+
+// A tap on the record toggles playback; a touch drag scrubs
+function handleScrubTouchEnd(e) {
+    const wasTap = isDragging && !isScrubbing;
+    handleScrubEnd(e);
+    if (wasTap) {
+        handlePlayback();
+    }
+}
+
 // Progress Bar scrubbing handlers
 function handleProgressBarMouseDown(e) {
     e.preventDefault();
     if (!currentAudio || !currentAudio.duration) return;
+
+    finishTransition();
     
     isProgressBarDragging = true;
     progressBarWasPlaying = isPlaying;
@@ -1715,65 +4698,756 @@ function handleProgressBarMouseMove(e) {
     drawVisualization(true);
 }
 
-function handleProgressBarMouseUp(e) {
-    e.preventDefault();
-    if (!isProgressBarDragging) return;
-    
-    isProgressBarDragging = false;
-    progressBarHandle.classList.remove('dragging');
-    
-    // Resume playback if it was playing before
-    if (progressBarWasPlaying && currentAudio) {
-        currentAudio.play().then(() => {
-            isPlaying = true;
-            startRotation();
-            startProgressBarAnimation();
-            updatePlayPauseButton();
-            // Restart visualizer after scrubbing
-            drawVisualization(true);
-        }).catch(err => console.error('Error resuming playback:', err));
+function handleProgressBarMouseUp(e) {
+    e.preventDefault();
+    if (!isProgressBarDragging) return;
+    
+    isProgressBarDragging = false;
+    progressBarHandle.classList.remove('dragging');
+    
+    // Resume playback if it was playing before
+    if (progressBarWasPlaying && currentAudio) {
+        currentAudio.play().then(() => {
+            isPlaying = true;
+            startRotation();
+            startProgressBarAnimation();
+            updatePlayPauseButton();
+            // Restart visualizer after scrubbing
+            drawVisualization(true);
+        }).catch(err => console.error('Error resuming playback:', err));
+    }
+    
+    // Remove global event listeners
+    document.removeEventListener('mousemove', handleProgressBarMouseMove);
+    document.removeEventListener('mouseup', handleProgressBarMouseUp);
+}
+
+// Add progress bar event listeners
+if (progressBar) {
+    progressBar.addEventListener('mousedown', handleProgressBarMouseDown);
+}
+
+// Add play/pause button functionality
+if (playPauseButton) {
+    playPauseButton.addEventListener('click', async (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        await handlePlayback();
+    });
+}
+
+// Skip to the next song (next button, media keys)
+async function playNextTrack() {
+    if (!currentAudio) return;
+    
+    // Get current song ID and find next song
+    const currentId = await getSetting('lastPlayedId');
+    const nextSong = await getNextSong(currentId, { userInitiated: true });
+    
+    if (nextSong) {
+        await loadSong(nextSong, true); // Load and play the next song
+    } else {
+        // If no next song, could show a message or restart from first song
+        console.log('No next song available');
+    }
+}
+
+// Previous: restart the song once it's a few seconds in, otherwise go back
+// to the song that was playing before it
+async function playPreviousTrack() {
+    if (!currentAudio) return;
+
+    if (currentAudio.currentTime > PREVIOUS_RESTART_SECONDS) {
+        finishTransition();
+        setProgressBarTime(0);
+        return;
+    }
+
+    const currentId = await getSetting('lastPlayedId');
+    const history = await getHistory();
+    const entryById = new Map(history.map(entry => [entry.id, entry]));
+
+    let previousEntryId;
+    if (currentHistoryEntry && currentHistoryEntry.songId === currentId) {
+        previousEntryId = currentHistoryEntry.previousEntryId;
+    } else if (history[0] && history[0].songId === currentId) {
+        previousEntryId = history[0].previousEntryId;
+    } else {
+        // The current song hasn't played yet, so the latest entry is the one before it
+        previousEntryId = history[0] ? history[0].id : null;
+    }
+
+    // Skip over songs that have since been deleted
+    const visited = new Set();
+    while (previousEntryId && !visited.has(previousEntryId)) {
+        visited.add(previousEntryId);
+        const entry = entryById.get(previousEntryId);
+        if (!entry) break;
+        const song = await idbGet('audio', entry.songId);
+        if (song) {
+            historyBackLink = { songId: song.id, previousEntryId: entry.previousEntryId };
+            await loadSong(song, true);
+            return;
+        }
+        previousEntryId = entry.previousEntryId;
+    }
+
+    // Nothing earlier: just restart
+    finishTransition();
+    setProgressBarTime(0);
+}
+
+if (prevTrackButton) {
+    prevTrackButton.addEventListener('click', async (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        await playPreviousTrack();
+    });
+}
+
+// Add next track button functionality
+if (nextTrackButton) {
+    nextTrackButton.addEventListener('click', async (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        await playNextTrack();
+    });
+}
+
+// Media Session: OS media keys, lock screen and the browser's media hub
+let mediaSessionArtworkUrl = null;
+let lastPositionStateUpdate = 0;
+
+function setupMediaSession() {
+    if (!('mediaSession' in navigator)) return;
+
+    const handlers = {
+        play: () => { if (!isPlaying) handlePlayback(); },
+        pause: () => { if (isPlaying) handlePlayback(); },
+        nexttrack: () => playNextTrack(),
+        previoustrack: () => playPreviousTrack(),
+        seekto: (details) => {
+            if (!currentAudio || !currentAudio.duration) return;
+            finishTransition();
+            setProgressBarTime((details.seekTime / currentAudio.duration) * 100);
+        }
+    };
+
+    for (const [action, handler] of Object.entries(handlers)) {
+        try {
+            navigator.mediaSession.setActionHandler(action, handler);
+        } catch (error) {
+            // Older browsers throw for actions they don't know
+            console.warn(`Media session action "${action}" is not supported`);
+        }
+    }
+}
+
+function updateMediaSessionMetadata(recordItem) {
+    if (!('mediaSession' in navigator) || typeof MediaMetadata === 'undefined') return;
+
+    if (mediaSessionArtworkUrl) {
+        URL.revokeObjectURL(mediaSessionArtworkUrl);
+        mediaSessionArtworkUrl = null;
+    }
+    const artwork = [];
+    if (recordItem.cover instanceof Blob) {
+        mediaSessionArtworkUrl = URL.createObjectURL(recordItem.cover);
+        artwork.push({ src: mediaSessionArtworkUrl, type: recordItem.cover.type || 'image/jpeg' });
+    }
+
+    navigator.mediaSession.metadata = new MediaMetadata({
+        title: recordItem.title || 'UNKNOWN',
+        artist: recordItem.artist || 'UNNAMED',
+        artwork
+    });
+}
+
+function updateMediaSessionPlaybackState() {
+    if (!('mediaSession' in navigator)) return;
+    navigator.mediaSession.playbackState = isPlaying ? 'playing' : 'paused';
+}
+
+// Called from the progress bar updates, which run every frame, so throttle unless forced
+function updateMediaSessionPosition(force = false) {
+    if (!('mediaSession' in navigator) || !navigator.mediaSession.setPositionState) return;
+    if (!currentAudio || !currentAudio.duration || !isFinite(currentAudio.duration)) return;
+
+    const now = performance.now();
+    if (!force && now - lastPositionStateUpdate < 1000) return;
+    lastPositionStateUpdate = now;
+
+    try {
+        navigator.mediaSession.setPositionState({
+            duration: currentAudio.duration,
+            playbackRate: currentAudio.playbackRate || 1,
+            position: Math.min(currentAudio.currentTime, currentAudio.duration)
+        });
+    } catch (error) {
+        console.warn('Could not update media session position:', error);
+    }
+}
+
+setupMediaSession();
+
+// Shuffle and repeat buttons
+function updatePlaybackModeButtons() {
+    if (shuffleButton) {
+        shuffleButton.classList.toggle('active', shuffleEnabled);
+        shuffleButton.setAttribute('aria-pressed', String(shuffleEnabled));
+    }
+    if (repeatButton) {
+        repeatButton.classList.toggle('active', repeatMode !== 'off');
+        repeatButton.classList.toggle('repeat-one', repeatMode === 'one');
+        const labels = { off: 'Repeat: off', all: 'Repeat: all', one: 'Repeat: one' };
+        repeatButton.setAttribute('aria-label', labels[repeatMode]);
+        repeatButton.title = labels[repeatMode];
+    }
+}
+
+if (shuffleButton) {
+    shuffleButton.addEventListener('click', async (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        await toggleShuffle();
+    });
+}
+
+if (repeatButton) {
+    repeatButton.addEventListener('click', async (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        await cycleRepeatMode();
+    });
+}
+
+// Player settings panel (sound options above the progress bar)
+function updateCrossfadeControl() {
+    if (crossfadeRange) crossfadeRange.value = String(crossfadeSeconds);
+    if (crossfadeValue) crossfadeValue.textContent = crossfadeSeconds > 0 ? `${crossfadeSeconds}s` : 'Gapless';
+}
+
+if (playerSettingsButton && playerSettingsPanel) {
+    playerSettingsButton.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        const isOpen = playerSettingsPanel.classList.toggle('open');
+        playerSettingsPanel.setAttribute('aria-hidden', String(!isOpen));
+    });
+
+    playerSettingsPanel.addEventListener('click', (e) => e.stopPropagation());
+
+    // Close when clicking anywhere else
+    document.addEventListener('click', () => {
+        if (playerSettingsPanel.classList.contains('open')) {
+            playerSettingsPanel.classList.remove('open');
+            playerSettingsPanel.setAttribute('aria-hidden', 'true');
+        }
+    });
+}
+
+if (crossfadeRange) {
+    crossfadeRange.addEventListener('input', (e) => {
+        setCrossfadeSeconds(e.target.value);
+    });
+}
+
+function updateNormalizationControl() {
+    if (normalizationSelect) normalizationSelect.value = normalizationMode;
+}
+
+if (normalizationSelect) {
+    normalizationSelect.addEventListener('change', (e) => {
+        setNormalizationMode(e.target.value);
+    });
+}
+
+// Equalizer and effects controls
+const formatDb = (value) => `${value > 0 ? '+' : ''}${Number(value).toFixed(0)} dB`;
+const formatFrequency = (hz) => hz >= 1000 ? `${hz / 1000}k` : String(hz);
+
+function buildEffectsControls() {
+    if (eqPresetSelect) {
+        eqPresetSelect.innerHTML = Object.entries(EQ_PRESETS)
+            .map(([key, preset]) => `<option value="${key}">${preset.label}</option>`)
+            .join('') + '<option value="custom">Custom</option>';
+        eqPresetSelect.addEventListener('change', (e) => {
+            if (e.target.value === 'custom') return;
+            const preset = createEffectsSettings(e.target.value);
+            // Presets replace the EQ curve but leave the limiter choice alone
+            updateEffectsSettings({ ...preset, limiter: getActiveEffectsSettings().limiter });
+        });
+    }
+
+    if (eqBandsContainer) {
+        eqBandsContainer.innerHTML = '';
+        getDefaultEffectsSettings().bands.forEach((band, index) => {
+            const bandEl = document.createElement('label');
+            bandEl.className = 'eq-band';
+            const input = document.createElement('input');
+            input.type = 'range';
+            input.min = '-12';
+            input.max = '12';
+            input.step = '1';
+            input.className = 'eq-band-range';
+            input.dataset.index = String(index);
+            input.setAttribute('aria-label', `${formatFrequency(band.frequency)} Hz`);
+            input.addEventListener('input', (e) => {
+                const bands = getActiveEffectsSettings().bands.map(b => ({ ...b }));
+                bands[index].gain = Number(e.target.value);
+                updateEffectsSettings({ bands, preset: 'custom' });
+            });
+            const label = document.createElement('span');
+            label.textContent = formatFrequency(band.frequency);
+            bandEl.appendChild(input);
+            bandEl.appendChild(label);
+            eqBandsContainer.appendChild(bandEl);
+        });
+    }
+
+    if (preampRange) {
+        preampRange.addEventListener('input', (e) => {
+            updateEffectsSettings({ preamp: Number(e.target.value), preset: 'custom' });
+        });
+    }
+    if (stereoWidthRange) {
+        stereoWidthRange.addEventListener('input', (e) => {
+            updateEffectsSettings({ stereoWidth: Number(e.target.value) / 100, preset: 'custom' });
+        });
+    }
+    if (limiterToggle) {
+        limiterToggle.addEventListener('change', (e) => {
+            updateEffectsSettings({ limiter: e.target.checked });
+        });
+    }
+    if (songEffectsToggle) {
+        songEffectsToggle.addEventListener('change', (e) => {
+            setSongEffectsOverride(e.target.checked);
+        });
+    }
+}
+
+function updateEffectsControls() {
+    const settings = getActiveEffectsSettings();
+    if (eqPresetSelect) eqPresetSelect.value = EQ_PRESETS[settings.preset] ? settings.preset : 'custom';
+    if (eqBandsContainer) {
+        eqBandsContainer.querySelectorAll('.eq-band-range').forEach(input => {
+            const band = settings.bands[Number(input.dataset.index)];
+            if (band) input.value = String(band.gain);
+        });
+    }
+    if (preampRange) preampRange.value = String(settings.preamp);
+    if (preampValue) preampValue.textContent = formatDb(settings.preamp);
+    if (stereoWidthRange) stereoWidthRange.value = String(Math.round(settings.stereoWidth * 100));
+    if (stereoWidthValue) stereoWidthValue.textContent = `${Math.round(settings.stereoWidth * 100)}%`;
+    if (limiterToggle) limiterToggle.checked = settings.limiter;
+    if (songEffectsToggle) {
+        songEffectsToggle.checked = !!songEffectsOverride;
+        songEffectsToggle.disabled = !effectsSongId;
+    }
+}
+
+buildEffectsControls();
+
+// Vinyl mode controls
+function updateVinylControls() {
+    if (vinylToggle) vinylToggle.checked = vinylSettings.enabled;
+    if (crackleRange) {
+        crackleRange.value = String(Math.round(vinylSettings.crackle * 100));
+        crackleRange.disabled = !vinylSettings.enabled;
+    }
+    rpmButtons.forEach(btn => {
+        const active = btn.dataset.rpm === vinylSettings.rpm;
+        btn.classList.toggle('active', active);
+        btn.setAttribute('aria-pressed', String(active));
+        btn.disabled = !vinylSettings.enabled;
+    });
+}
+
+if (vinylToggle) {
+    vinylToggle.addEventListener('change', (e) => {
+        updateVinylSettings({ enabled: e.target.checked });
+    });
+}
+if (crackleRange) {
+    crackleRange.addEventListener('input', (e) => {
+        updateVinylSettings({ crackle: Number(e.target.value) / 100 });
+    });
+}
+rpmButtons.forEach(btn => {
+    btn.addEventListener('click', () => {
+        updateVinylSettings({ rpm: btn.dataset.rpm });
+    });
+});
+
+// Speed and pitch controls (for the song on the record)
+function updateSpeedControls() {
+    const deck = decks[activeDeckIndex];
+    const speed = deck ? deck.speed : normalizePlaybackSpeed();
+    if (speedRange) speedRange.value = String(Math.round(speed.rate * 100));
+    if (speedValue) speedValue.textContent = `${speed.rate.toFixed(2)}×`;
+    if (preservePitchToggle) preservePitchToggle.checked = speed.preservePitch;
+    if (pitchRange) pitchRange.value = String(speed.semitones);
+    if (pitchValue) pitchValue.textContent = `${speed.semitones > 0 ? '+' : ''}${speed.semitones} st`;
+}
+
+if (speedRange) {
+    speedRange.addEventListener('input', (e) => {
+        updateSongSpeed({ rate: Number(e.target.value) / 100 });
+    });
+    // Double-click resets to normal speed
+    speedRange.addEventListener('dblclick', () => {
+        updateSongSpeed({ rate: 1 });
+    });
+}
+if (preservePitchToggle) {
+    preservePitchToggle.addEventListener('change', (e) => {
+        updateSongSpeed({ preservePitch: e.target.checked });
+    });
+}
+if (pitchRange) {
+    pitchRange.addEventListener('input', (e) => {
+        updateSongSpeed({ semitones: Number(e.target.value) });
+    });
+    pitchRange.addEventListener('dblclick', () => {
+        updateSongSpeed({ semitones: 0 });
+    });
+}
+
+// Sleep timer: after a number of minutes, or at the end of the current track
+// or playlist, fade out through sleepGain and pause
+const SLEEP_FADE_SECONDS = 10;
+let sleepTimer = null; // { preset, mode, endsAt, interval, fading, checkedPlayId, armedPlayId }
+
+function setSleepTimer(preset) {
+    cancelSleepTimer();
+    if (preset === 'off') return;
+    const minutes = Number(preset);
+    sleepTimer = {
+        preset,
+        mode: minutes ? 'minutes' : preset, // 'minutes' | 'track' | 'playlist'
+        endsAt: minutes ? Date.now() + minutes * 60000 : null,
+        interval: null,
+        fading: false,
+        checkedPlayId: null,
+        armedPlayId: null
+    };
+    sleepTimer.interval = setInterval(tickSleepTimer, 1000);
+    tickSleepTimer();
+}
+
+function cancelSleepTimer() {
+    if (sleepTimer) {
+        clearInterval(sleepTimer.interval);
+        sleepTimer = null;
+        if (sleepGain) {
+            const now = audioContext.currentTime;
+            sleepGain.gain.cancelScheduledValues(now);
+            sleepGain.gain.setTargetAtTime(1, now, 0.1);
+        }
+    }
+    updateSleepTimerDisplay();
+}
+
+function startSleepFade(seconds) {
+    if (!sleepTimer || sleepTimer.fading) return;
+    sleepTimer.fading = true;
+    if (!sleepGain) return;
+    const now = audioContext.currentTime;
+    sleepGain.gain.cancelScheduledValues(now);
+    sleepGain.gain.setValueAtTime(sleepGain.gain.value, now);
+    sleepGain.gain.linearRampToValueAtTime(0, now + Math.max(0.1, seconds));
+}
+
+async function completeSleepTimer() {
+    if (!sleepTimer) return;
+    clearInterval(sleepTimer.interval);
+    sleepTimer = null;
+
+    if (isPlaying) {
+        await handlePlayback();
+    }
+    stopRotation();
+
+    // Back to full level for whenever playback starts again
+    if (sleepGain) {
+        const now = audioContext.currentTime;
+        sleepGain.gain.cancelScheduledValues(now);
+        sleepGain.gain.setValueAtTime(1, now);
+    }
+    updateSleepTimerDisplay();
+}
+
+function tickSleepTimer() {
+    if (!sleepTimer) return;
+    if (sleepTimer.mode === 'minutes') {
+        const remaining = (sleepTimer.endsAt - Date.now()) / 1000;
+        if (remaining <= 0) {
+            completeSleepTimer();
+            return;
+        }
+        if (remaining <= SLEEP_FADE_SECONDS) {
+            startSleepFade(remaining);
+        }
+    }
+    updateSleepTimerDisplay();
+}
+
+// True when the playing track is the one the timer will stop after
+function isSleepTimerArmed() {
+    const deck = decks[activeDeckIndex];
+    return !!sleepTimer && !!deck && sleepTimer.armedPlayId !== null && sleepTimer.armedPlayId === deck.playId;
+}
+
+// Last song of the playback context, with nothing queued after it
+async function isLastSongInContext(songId) {
+    const queue = await getQueue();
+    if (queue.length > 0) return false;
+    const songs = await getContextSongs();
+    if (songs.length === 0) return true;
+    if (shuffleEnabled) {
+        const state = await getSetting('shuffleState');
+        if (state && Array.isArray(state.order) && state.contextKey === getPlaybackContextKey()) {
+            return state.order.indexOf(songId) === state.order.length - 1;
+        }
     }
-    
-    // Remove global event listeners
-    document.removeEventListener('mousemove', handleProgressBarMouseMove);
-    document.removeEventListener('mouseup', handleProgressBarMouseUp);
+    return songs[songs.length - 1].id === songId;
 }
 
-// Add progress bar event listeners
-if (progressBar) {
-    progressBar.addEventListener('mousedown', handleProgressBarMouseDown);
+// Track and playlist timers: arm on the right track, then fade out its last seconds
+function checkSleepTimerTrackEnd(deck) {
+    if (!sleepTimer || sleepTimer.mode === 'minutes') return;
+    if (deck.audio !== currentAudio || !isPlaying) return;
+
+    if (sleepTimer.checkedPlayId !== deck.playId) {
+        const timer = sleepTimer;
+        timer.checkedPlayId = deck.playId;
+        timer.armedPlayId = null;
+        if (timer.mode === 'track') {
+            timer.armedPlayId = deck.playId;
+        } else {
+            isLastSongInContext(deck.songId).then(isLast => {
+                if (isLast && sleepTimer === timer && timer.checkedPlayId === deck.playId) {
+                    timer.armedPlayId = deck.playId;
+                    updateSleepTimerDisplay();
+                }
+            });
+        }
+    }
+    if (sleepTimer.armedPlayId !== deck.playId || !deck.audio.duration) return;
+
+    const remaining = (deck.audio.duration - deck.audio.currentTime) / (deck.audio.playbackRate || 1);
+    if (remaining <= SLEEP_FADE_SECONDS) {
+        startSleepFade(remaining);
+    } else if (sleepTimer.fading) {
+        // Seeked back out of the fade
+        sleepTimer.fading = false;
+        if (sleepGain) {
+            const now = audioContext.currentTime;
+            sleepGain.gain.cancelScheduledValues(now);
+            sleepGain.gain.setTargetAtTime(1, now, 0.1);
+        }
+    }
 }
 
-// Add play/pause button functionality
-if (playPauseButton) {
-    playPauseButton.addEventListener('click', async (e) => {
-        e.preventDefault();
-        e.stopPropagation();
-        await handlePlayback();
+function updateSleepTimerDisplay() {
+    sleepTimerButtons.forEach(btn => {
+        btn.classList.toggle('active', sleepTimer ? btn.dataset.sleep === sleepTimer.preset : btn.dataset.sleep === 'off');
     });
+    if (!sleepTimerIndicator) return;
+    if (!sleepTimer) {
+        sleepTimerIndicator.classList.remove('visible');
+        return;
+    }
+
+    let text;
+    if (sleepTimer.mode === 'minutes') {
+        text = formatTime(Math.max(0, (sleepTimer.endsAt - Date.now()) / 1000));
+    } else if (isSleepTimerArmed() && currentAudio && currentAudio.duration) {
+        text = formatTime((currentAudio.duration - currentAudio.currentTime) / (currentAudio.playbackRate || 1));
+    } else {
+        text = sleepTimer.mode === 'track' ? 'End of track' : 'End of playlist';
+    }
+    sleepTimerRemaining.textContent = text;
+    sleepTimerIndicator.classList.add('visible');
 }
 
-// Add next track button functionality
-if (nextTrackButton) {
-    nextTrackButton.addEventListener('click', async (e) => {
-        e.preventDefault();
+sleepTimerButtons.forEach(btn => {
+    btn.addEventListener('click', () => {
+        setSleepTimer(btn.dataset.sleep);
+    });
+});
+
+if (sleepTimerIndicator) {
+    sleepTimerIndicator.addEventListener('click', (e) => {
         e.stopPropagation();
-        
-        if (!currentAudio) return;
-        
-        // Get current song ID and find next song
-        const currentId = await getSetting('lastPlayedId');
-        const nextSong = await getNextSong(currentId);
-        
-        if (nextSong) {
-            await loadSong(nextSong, true); // Load and play the next song
+        cancelSleepTimer();
+    });
+}
+
+// A–B loop and cue points. The loop belongs to the current listening session;
+// cue points are saved on the song's audio record as { id, name, time }.
+let abLoop = { a: null, b: null };
+let cuePoints = [];
+let cueSongId = null;
+const progressBarMarkers = document.createElement('div');
+progressBarMarkers.className = 'progress-bar-markers';
+if (progressBarTrack) progressBarTrack.appendChild(progressBarMarkers);
+
+function isAbLoopActive() {
+    return abLoop.a !== null && abLoop.b !== null;
+}
+
+// Called from the progress animation and timeupdate while playing
+function enforceAbLoop() {
+    if (!isAbLoopActive() || !currentAudio) return;
+    if (currentAudio.currentTime >= abLoop.b) {
+        currentAudio.currentTime = abLoop.a;
+    }
+}
+
+function setLoopPoint(point) {
+    if (!currentAudio || !currentAudio.duration) return;
+    const time = currentAudio.currentTime;
+    if (point === 'a') {
+        abLoop = { a: time, b: abLoop.b !== null && abLoop.b > time ? abLoop.b : null };
+    } else {
+        // B before A swaps them so the loop is always forward
+        if (abLoop.a === null) {
+            abLoop = { a: 0, b: time };
+        } else if (time > abLoop.a) {
+            abLoop = { a: abLoop.a, b: time };
         } else {
-            // If no next song, could show a message or restart from first song
-            console.log('No next song available');
+            abLoop = { a: time, b: abLoop.a };
         }
+    }
+    renderProgressMarkers();
+}
+
+function clearAbLoop() {
+    abLoop = { a: null, b: null };
+    renderProgressMarkers();
+}
+
+// Keep the A–B loop and markers in step with the song on the record
+function loadCuePoints(song) {
+    if (!song || song.id !== cueSongId) {
+        abLoop = { a: null, b: null };
+    }
+    cueSongId = song ? song.id : null;
+    cuePoints = song && Array.isArray(song.cuePoints)
+        ? [...song.cuePoints].sort((a, b) => a.time - b.time)
+        : [];
+    renderProgressMarkers();
+}
+
+async function saveCuePoints() {
+    if (!cueSongId) return;
+    const song = await idbGet('audio', cueSongId);
+    if (!song) return;
+    song.cuePoints = cuePoints;
+    await idbPut('audio', song);
+}
+
+async function addCuePoint(name, time) {
+    cuePoints.push({
+        id: `cue_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+        name,
+        time
+    });
+    cuePoints.sort((a, b) => a.time - b.time);
+    await saveCuePoints();
+    renderProgressMarkers();
+}
+
+async function removeCuePoint(cueId) {
+    cuePoints = cuePoints.filter(cue => cue.id !== cueId);
+    await saveCuePoints();
+    renderProgressMarkers();
+}
+
+function seekToTime(seconds) {
+    if (!currentAudio || !currentAudio.duration) return;
+    finishTransition();
+    setProgressBarTime((seconds / currentAudio.duration) * 100);
+}
+
+function jumpToCuePoint(index) {
+    const cue = cuePoints[index];
+    if (cue) seekToTime(cue.time);
+}
+
+function renderProgressMarkers() {
+    progressBarMarkers.innerHTML = '';
+    const duration = currentAudio && currentAudio.duration;
+    if (!duration || !isFinite(duration)) return;
+    const toPercent = (time) => `${Math.max(0, Math.min(100, (time / duration) * 100))}%`;
+
+    if (isAbLoopActive()) {
+        const region = document.createElement('div');
+        region.className = 'ab-loop-region';
+        region.style.left = toPercent(abLoop.a);
+        region.style.width = `${((abLoop.b - abLoop.a) / duration) * 100}%`;
+        progressBarMarkers.appendChild(region);
+    }
+    for (const point of ['a', 'b']) {
+        if (abLoop[point] === null) continue;
+        const marker = document.createElement('div');
+        marker.className = 'ab-loop-marker';
+        marker.textContent = point.toUpperCase();
+        marker.style.left = toPercent(abLoop[point]);
+        progressBarMarkers.appendChild(marker);
+    }
+
+    cuePoints.forEach((cue, index) => {
+        const marker = document.createElement('button');
+        marker.type = 'button';
+        marker.className = 'cue-marker';
+        marker.style.left = toPercent(cue.time);
+        const shortcut = index < 9 ? ` (${index + 1})` : '';
+        marker.title = `${cue.name} · ${formatTime(cue.time)}${shortcut} — right-click to remove`;
+        marker.setAttribute('aria-label', `Jump to ${cue.name}`);
+        // Keep the progress bar from treating this as a scrub
+        marker.addEventListener('mousedown', (e) => e.stopPropagation());
+        marker.addEventListener('click', (e) => {
+            e.stopPropagation();
+            seekToTime(cue.time);
+        });
+        marker.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            removeCuePoint(cue.id);
+        });
+        progressBarMarkers.appendChild(marker);
     });
 }
 
+// A / B set the loop points, L clears the loop, M saves a cue point, 1–9 jump to cue points
+window.addEventListener('keydown', (e) => {
+    if (e.target.matches('input, textarea, select') || e.target.isContentEditable) return;
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    if (contextMenu && contextMenu.isEditDialogOpen()) return;
+    // Typing in the open songs panel searches instead
+    if (songsPanel && songsPanel.classList.contains('open')) return;
+    if (!currentAudio || !currentAudio.duration) return;
+
+    if (e.code === 'KeyA') {
+        setLoopPoint('a');
+    } else if (e.code === 'KeyB') {
+        setLoopPoint('b');
+    } else if (e.code === 'KeyL') {
+        clearAbLoop();
+    } else if (e.code === 'KeyM') {
+        const time = currentAudio.currentTime;
+        const name = prompt('Cue point name:', `Cue ${cuePoints.length + 1}`);
+        if (name !== null) {
+            addCuePoint(name.trim() || `Cue ${cuePoints.length + 1}`, time);
+        }
+    } else if (/^Digit[1-9]$/.test(e.code)) {
+        jumpToCuePoint(Number(e.code.slice(5)) - 1);
+    }
+});
+
 // Progress bar hover behavior for desktop
 let progressBarHideTimer = null;
 let isMobile = false;
@@ -1872,15 +5546,207 @@ function setCurrentRecordCover(coverUrl) {
     currentRecordCoverUrl = coverUrl;
 }
 
+const RECENTLY_PLAYED_COUNT = 20;
+let recentlyPlayedExpanded = false;
+
+// "just now", "5m ago", "3h ago", then a date
+function formatPlayedAt(timestamp) {
+    const minutes = Math.floor((Date.now() - timestamp) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes}m ago`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h ago`;
+    return new Date(timestamp).toLocaleDateString();
+}
+
+// ---- Library search ----
+
+const SEARCH_FIELD_WEIGHTS = { title: 3, artist: 2, album: 1.5, playlist: 1 };
+const SEARCH_DEBOUNCE_MS = 120;
+
+const librarySearch = {
+    query: '',
+    sources: new Set(), // 'local' | 'ai' | 'url'
+    hasCover: false,
+    inPlaylist: false
+};
+let searchRenderTimer = null;
+
+const songsSearchInput = document.querySelector('.songs-search-input');
+const songsFilterChips = document.querySelectorAll('.songs-filter-chip');
+
+function isLibraryFilterActive() {
+    return librarySearch.query.trim() !== '' || librarySearch.sources.size > 0
+        || librarySearch.hasCover || librarySearch.inPlaylist;
+}
+
+// Songs from before sources were recorded: generated ones are flagged, the rest were dropped in
+function getSongSource(song) {
+    return song.source || (song.isGenerated ? 'ai' : 'local');
+}
+
+function normalizeSearchText(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+// True when the words differ by at most one insertion, deletion or substitution
+function isOneEditApart(a, b) {
+    if (Math.abs(a.length - b.length) > 1) return false;
+    let i = 0;
+    let j = 0;
+    let edits = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            i++;
+            j++;
+            continue;
+        }
+        if (++edits > 1) return false;
+        if (a.length > b.length) i++;
+        else if (b.length > a.length) j++;
+        else {
+            i++;
+            j++;
+        }
+    }
+    return edits + (a.length - i) + (b.length - j) <= 1;
+}
+
+// 0 (no match) to 1: substring at a word start, substring, a typo, then letters in order with few gaps
+function fuzzyMatchScore(token, text) {
+    if (!token || !text) return 0;
+    const index = text.indexOf(token);
+    if (index === 0 || (index > 0 && text[index - 1] === ' ')) return 1;
+    if (index > 0) return 0.8;
+    if (token.length >= 4 && text.split(' ').some(word => isOneEditApart(token, word.slice(0, token.length + 1)) || isOneEditApart(token, word))) {
+        return 0.6;
+    }
+    let position = 0;
+    let last = -1;
+    let gaps = 0;
+    for (const char of token) {
+        const found = text.indexOf(char, position);
+        if (found === -1) return 0;
+        if (last !== -1 && found !== last + 1) gaps++;
+        last = found;
+        position = found + 1;
+    }
+    // Letters scattered all over the text are a coincidence, not a match
+    if (gaps > Math.max(1, Math.floor(token.length / 3))) return 0;
+    return 0.4 * (1 - gaps / token.length);
+}
+
+// "Parent / Child" names of a song's playlist
+function getPlaylistPath(playlistId, playlistById) {
+    const names = [];
+    const seen = new Set();
+    let current = playlistById.get(playlistId);
+    while (current && !seen.has(current.id)) {
+        seen.add(current.id);
+        names.unshift(current.name || 'Playlist');
+        current = current.parentId ? playlistById.get(current.parentId) : null;
+    }
+    return names.join(' / ');
+}
+
+// Songs passing the filter chips, best matches for the query first
+function searchLibrary(songs, playlistById, playlistIdsBySong) {
+    const tokens = normalizeSearchText(librarySearch.query).split(' ').filter(Boolean);
+    const results = [];
+
+    for (const song of songs) {
+        if (librarySearch.sources.size > 0 && !librarySearch.sources.has(getSongSource(song))) continue;
+        if (librarySearch.hasCover && !(song.cover instanceof Blob)) continue;
+        const playlistIds = playlistIdsBySong.get(song.id) || [];
+        if (librarySearch.inPlaylist && !playlistIds.length) continue;
+
+        const playlistPath = playlistIds.map(id => getPlaylistPath(id, playlistById)).join(', ');
+        const fields = {
+            title: normalizeSearchText(song.title),
+            artist: normalizeSearchText(song.artist),
+            album: normalizeSearchText(song.album),
+            playlist: normalizeSearchText(playlistPath)
+        };
+
+        let score = 0;
+        let matchesAll = true;
+        for (const token of tokens) {
+            let best = 0;
+            for (const [field, weight] of Object.entries(SEARCH_FIELD_WEIGHTS)) {
+                best = Math.max(best, weight * fuzzyMatchScore(token, fields[field]));
+            }
+            if (best === 0) {
+                matchesAll = false;
+                break;
+            }
+            score += best;
+        }
+        if (matchesAll) results.push({ song, playlistId: playlistIds[0] || null, playlistPath, score });
+    }
+
+    return results.sort((a, b) => b.score - a.score || (b.song.createdAt || 0) - (a.song.createdAt || 0));
+}
+
+function scheduleSearchRender() {
+    clearTimeout(searchRenderTimer);
+    searchRenderTimer = setTimeout(renderSongs, SEARCH_DEBOUNCE_MS);
+}
+
+function clearLibrarySearch() {
+    librarySearch.query = '';
+    if (songsSearchInput) songsSearchInput.value = '';
+    renderSongs();
+}
+
+if (songsSearchInput) {
+    songsSearchInput.addEventListener('input', () => {
+        librarySearch.query = songsSearchInput.value;
+        scheduleSearchRender();
+    });
+}
+
+songsFilterChips.forEach(chip => {
+    chip.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const { filter, value } = chip.dataset;
+        if (filter === 'source') {
+            if (librarySearch.sources.has(value)) librarySearch.sources.delete(value);
+            else librarySearch.sources.add(value);
+        } else if (filter === 'cover') {
+            librarySearch.hasCover = !librarySearch.hasCover;
+        } else if (filter === 'playlist') {
+            librarySearch.inPlaylist = !librarySearch.inPlaylist;
+        }
+        const pressed = filter === 'source' ? librarySearch.sources.has(value)
+            : filter === 'cover' ? librarySearch.hasCover : librarySearch.inPlaylist;
+        chip.setAttribute('aria-pressed', String(pressed));
+        chip.classList.toggle('active', pressed);
+        renderSongs();
+    });
+});
+
+let renderSongsToken = 0;
+
 async function renderSongs() {
     if (!db || !songsList) return;
-    clearSongObjectUrls();
-    songsList.innerHTML = '';
+    // Several renders can overlap (typing, imports); only the latest one draws
+    const token = ++renderSongsToken;
 
-    const [allSongs, allPlaylists] = await Promise.all([
+    const [allSongs, allPlaylists, playlistEntries, queueEntries, historyEntries] = await Promise.all([
         idbGetAll('audio'),
-        idbGetAll('playlists')
+        idbGetAll('playlists'),
+        getPlaylistEntries(),
+        getQueue(),
+        getHistory()
     ]);
+    if (token !== renderSongsToken) return;
+    clearSongObjectUrls();
+    songsList.innerHTML = '';
 
     // Ensure gradients for songs
     for (const s of allSongs) {
@@ -1899,24 +5765,30 @@ async function renderSongs() {
         childrenMap.set(p.parentId || 'root', list);
     }
 
-    // Songs by playlistId
+    // Songs by playlist, in playlist order; songs in no playlist sit at the root
+    const songById = new Map(allSongs.map(s => [s.id, s]));
+    const playlistIdsBySong = getSongPlaylistIds(playlistEntries);
     const songsByPlaylist = new Map();
-    for (const s of allSongs) {
-        const key = s.playlistId || 'root';
-        const list = songsByPlaylist.get(key) || [];
-        list.push(s);
-        songsByPlaylist.set(key, list);
+    for (const entry of playlistEntries) {
+        const song = songById.get(entry.songId);
+        if (!song) continue;
+        const list = songsByPlaylist.get(entry.playlistId) || [];
+        list.push(song);
+        songsByPlaylist.set(entry.playlistId, list);
     }
+    songsByPlaylist.set('root', allSongs.filter(s => !playlistIdsBySong.has(s.id)));
 
     // Sort utility
     const sortByCreatedDesc = (arr) => arr.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
 
-    function createSongItem(item) {
+    // playlistId: the playlist the song is listed under; contextPlaylistId: the one it plays on from
+    function createSongItem(item, playlistId = null, contextPlaylistId = playlistId) {
         const wrapper = document.createElement('div');
         wrapper.className = 'song-item';
         wrapper.dataset.id = item.id;
         wrapper.dataset.title = item.title || 'UNKNOWN';
-        wrapper.dataset.playlistId = item.playlistId || 'root';
+        wrapper.dataset.playlistId = playlistId || 'root';
+        if (contextPlaylistId) wrapper.dataset.contextPlaylistId = contextPlaylistId;
         wrapper.dataset.type = 'song';
         wrapper.tabIndex = 0;
         wrapper.setAttribute('role', 'button');
@@ -1957,6 +5829,10 @@ async function renderSongs() {
         wrapper.appendChild(meta);
 
         wrapper.addEventListener('click', async () => {
+            // Queued and recently played songs play without changing where auto-advance continues from
+            if (!wrapper.classList.contains('queue-item') && !wrapper.classList.contains('history-item')) {
+                await setPlaybackContextForSong(allPlaylists, contextPlaylistId);
+            }
             await loadSong(item);
             if (songsPanel) {
                 songsPanel.classList.remove('open');
@@ -1966,7 +5842,7 @@ async function renderSongs() {
 
         wrapper.addEventListener('contextmenu', (e) => {
             e.preventDefault();
-            contextMenu.show(e.clientX, e.clientY, item);
+            contextMenu.show(e.clientX, e.clientY, item, getListedPlaylistId(wrapper));
         });
 
         return wrapper;
@@ -1974,7 +5850,7 @@ async function renderSongs() {
 
     function createPlaylistItem(playlist, depth = 0) {
         const wrapper = document.createElement('div');
-        wrapper.className = 'playlist-item';
+        wrapper.className = playlist.smart ? 'playlist-item smart' : 'playlist-item';
         wrapper.dataset.id = playlist.id;
         wrapper.dataset.name = playlist.name || 'Playlist';
         wrapper.dataset.type = 'playlist';
@@ -1998,6 +5874,12 @@ async function renderSongs() {
             const g2 = '#111';
             cover.style.setProperty('--playlist-cover-image', `linear-gradient(135deg, ${g1}, ${g2})`);
         }
+        if (playlist.smart) {
+            const icon = document.createElement('i');
+            icon.className = 'fas fa-magic playlist-smart-icon';
+            icon.title = 'Smart playlist';
+            cover.appendChild(icon);
+        }
 
         const meta = document.createElement('div');
         meta.className = 'playlist-meta';
@@ -2034,16 +5916,33 @@ async function renderSongs() {
             window.playlistContextMenu.show(e.clientX, e.clientY, playlist);
         });
 
-        // Render children: child playlists then songs
+        // Smart playlists list whatever matches their rules right now
+        if (playlist.smart) {
+            const songs = sortByCreatedDesc(getSmartPlaylistSongs(playlist, allSongs));
+            for (const s of songs) {
+                const itemEl = createSongItem(s, playlist.id);
+                itemEl.classList.add('in-playlist');
+                content.appendChild(itemEl);
+            }
+            if (!songs.length) {
+                const empty = document.createElement('div');
+                empty.className = 'playlist-empty';
+                empty.textContent = 'No songs match these rules yet';
+                content.appendChild(empty);
+            }
+            return wrapper;
+        }
+
+        // Render children: child playlists then songs in playlist order
         const childPlaylists = sortByCreatedDesc([...(childrenMap.get(playlist.id) || [])]);
-        const songs = sortByCreatedDesc([...(songsByPlaylist.get(playlist.id) || [])]);
+        const songs = songsByPlaylist.get(playlist.id) || [];
 
         for (const child of childPlaylists) {
             const itemEl = createPlaylistItem(child, depth + 1);
             content.appendChild(itemEl);
         }
         for (const s of songs) {
-            const itemEl = createSongItem(s);
+            const itemEl = createSongItem(s, playlist.id);
             itemEl.classList.add('in-playlist');
             content.appendChild(itemEl);
         }
@@ -2051,6 +5950,147 @@ async function renderSongs() {
         return wrapper;
     }
 
+    function createQueueSection(entries) {
+        const visibleEntries = entries.filter(entry => songById.has(entry.songId));
+        const section = document.createElement('div');
+        section.className = 'queue-section';
+
+        const header = document.createElement('div');
+        header.className = 'queue-header';
+        const label = document.createElement('span');
+        label.textContent = `Up Next (${visibleEntries.length})`;
+        const clearBtn = document.createElement('button');
+        clearBtn.className = 'queue-clear-button';
+        clearBtn.type = 'button';
+        clearBtn.textContent = 'Clear';
+        clearBtn.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            await clearQueue();
+            await renderSongs();
+        });
+        header.appendChild(label);
+        header.appendChild(clearBtn);
+        section.appendChild(header);
+
+        visibleEntries.forEach((entry, index) => {
+            const song = songById.get(entry.songId);
+            const itemEl = createSongItem(song);
+            itemEl.classList.add('queue-item');
+            itemEl.dataset.queueEntryId = entry.id;
+            itemEl.setAttribute('aria-label', `Play queued ${song.title || 'Unknown'} by ${song.artist || 'Unnamed'}`);
+
+            // Playing a queued song consumes its entry
+            itemEl.addEventListener('click', async () => {
+                await removeFromQueue(entry.id);
+            });
+
+            const controls = document.createElement('div');
+            controls.className = 'queue-controls';
+            const makeControl = (icon, labelText, onClick, disabled = false) => {
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.className = 'queue-control-button';
+                btn.setAttribute('aria-label', labelText);
+                btn.innerHTML = `<i class="fas ${icon}"></i>`;
+                btn.disabled = disabled;
+                btn.addEventListener('click', async (e) => {
+                    e.stopPropagation();
+                    await onClick();
+                    await renderSongs();
+                });
+                return btn;
+            };
+            controls.appendChild(makeControl('fa-chevron-up', 'Move up', () => moveQueueEntry(entry.id, index - 1), index === 0));
+            controls.appendChild(makeControl('fa-chevron-down', 'Move down', () => moveQueueEntry(entry.id, index + 1), index === visibleEntries.length - 1));
+            controls.appendChild(makeControl('fa-times', 'Remove from queue', () => removeFromQueue(entry.id)));
+            itemEl.appendChild(controls);
+
+            section.appendChild(itemEl);
+        });
+
+        return section;
+    }
+
+    function createHistorySection(entries) {
+        const visibleEntries = entries.filter(entry => songById.has(entry.songId)).slice(0, RECENTLY_PLAYED_COUNT);
+        const section = document.createElement('div');
+        section.className = 'history-section';
+        section.classList.toggle('expanded', recentlyPlayedExpanded);
+
+        const header = document.createElement('div');
+        header.className = 'queue-header history-header';
+        const label = document.createElement('button');
+        label.type = 'button';
+        label.className = 'history-toggle-button';
+        label.setAttribute('aria-expanded', String(recentlyPlayedExpanded));
+        label.textContent = `Recently Played (${visibleEntries.length})`;
+        label.addEventListener('click', (e) => {
+            e.stopPropagation();
+            recentlyPlayedExpanded = !recentlyPlayedExpanded;
+            section.classList.toggle('expanded', recentlyPlayedExpanded);
+            label.setAttribute('aria-expanded', String(recentlyPlayedExpanded));
+        });
+        const clearBtn = document.createElement('button');
+        clearBtn.className = 'queue-clear-button';
+        clearBtn.type = 'button';
+        clearBtn.textContent = 'Clear';
+        clearBtn.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            await clearHistory();
+            await renderSongs();
+        });
+        header.appendChild(label);
+        header.appendChild(clearBtn);
+        section.appendChild(header);
+
+        const content = document.createElement('div');
+        content.className = 'history-content';
+        for (const entry of visibleEntries) {
+            const song = songById.get(entry.songId);
+            const itemEl = createSongItem(song);
+            itemEl.classList.add('history-item');
+            const playedAt = document.createElement('div');
+            playedAt.className = 'song-played-at';
+            playedAt.textContent = formatPlayedAt(entry.playedAt);
+            itemEl.querySelector('.song-meta').appendChild(playedAt);
+            content.appendChild(itemEl);
+        }
+        section.appendChild(content);
+
+        return section;
+    }
+
+    // Searching or filtering shows a flat list of matches instead of the tree
+    if (isLibraryFilterActive()) {
+        const results = searchLibrary(allSongs, playlistById, playlistIdsBySong);
+        const summary = document.createElement('div');
+        summary.className = 'queue-header search-summary';
+        summary.textContent = results.length
+            ? `${results.length} song${results.length === 1 ? '' : 's'}`
+            : 'No matching songs';
+        songsList.appendChild(summary);
+
+        for (const { song, playlistId, playlistPath } of results) {
+            const itemEl = createSongItem(song, null, playlistId);
+            itemEl.classList.add('search-result', 'animate');
+            if (playlistPath) {
+                const location = document.createElement('div');
+                location.className = 'song-played-at';
+                location.textContent = playlistPath;
+                itemEl.querySelector('.song-meta').appendChild(location);
+            }
+            songsList.appendChild(itemEl);
+        }
+        return;
+    }
+
+    if (queueEntries.length > 0) {
+        songsList.appendChild(createQueueSection(queueEntries));
+    }
+    if (historyEntries.length > 0) {
+        songsList.appendChild(createHistorySection(historyEntries));
+    }
+
     // Root: playlists first, then root songs
     const rootPlaylists = sortByCreatedDesc([...(childrenMap.get('root') || [])]);
     const rootSongs = sortByCreatedDesc([...(songsByPlaylist.get('root') || [])]);
@@ -2087,7 +6127,7 @@ let dragState = {
 };
 
 function wireDragAndDrop() {
-    const songItems = songsList.querySelectorAll('.song-item');
+    const songItems = songsList.querySelectorAll('.song-item:not(.queue-item):not(.history-item)');
     const playlistHeaders = songsList.querySelectorAll('.playlist-header');
 
     songItems.forEach(el => attachDraggable(el, 'song'));
@@ -2182,25 +6222,64 @@ function moveGhost(x, y) {
 }
 
 function clearHighlights() {
-    document.querySelectorAll('.drop-target').forEach(el => el.classList.remove('drop-target'));
+    document.querySelectorAll('.drop-target, .drop-before, .drop-after').forEach(el => {
+        el.classList.remove('drop-target', 'drop-before', 'drop-after');
+    });
+}
+
+// The manual playlist a song item is listed under; null at the root, in search results and in smart playlists
+function getListedPlaylistId(songItem) {
+    if (!songItem || songItem.closest('.playlist-item.smart')) return null;
+    const playlistId = songItem.dataset.playlistId;
+    return playlistId && playlistId !== 'root' ? playlistId : null;
+}
+
+// Dropping a song on another song of the same playlist reorders instead of grouping
+function isReorderTarget(songItem) {
+    if (!songItem || songItem === dragState.originEl) return false;
+    const playlistId = getListedPlaylistId(songItem);
+    return !!playlistId && playlistId === getListedPlaylistId(dragState.originEl);
+}
+
+// Smart playlists fill themselves from their rules, so neither their header nor their songs take drops
+function isSmartDropTarget(playlistHeader, songItem) {
+    if (playlistHeader) return playlistHeader.parentElement.classList.contains('smart');
+    return !!songItem?.closest('.playlist-item.smart');
 }
 
+const isBelowMiddle = (el, y) => {
+    const rect = el.getBoundingClientRect();
+    return y > rect.top + rect.height / 2;
+};
+
 function updateDropTargets(x, y) {
     clearHighlights();
     const el = document.elementFromPoint(x, y);
     if (!el) return;
     const songItem = el.closest('.song-item');
     const playlistHeader = el.closest('.playlist-header');
+    if (isSmartDropTarget(playlistHeader, songItem)) {
+        if (dragState.ghost) dragState.ghost.textContent = 'Smart playlists fill themselves';
+        return;
+    }
     if (dragState.type === 'song') {
+        const fromPlaylistId = getListedPlaylistId(dragState.originEl);
+        const reorder = isReorderTarget(songItem);
         if (playlistHeader) playlistHeader.classList.add('drop-target');
+        else if (reorder) songItem.classList.add(isBelowMiddle(songItem, y) ? 'drop-after' : 'drop-before');
         else if (songItem && songItem !== dragState.originEl) songItem.classList.add('drop-target');
         if (dragState.ghost) {
             if (playlistHeader) {
                 const name = playlistHeader.parentElement?.dataset?.name || 'Playlist';
-                dragState.ghost.textContent = `Move to: ${name}`;
+                dragState.ghost.textContent = `${fromPlaylistId ? 'Move' : 'Add'} to: ${name}`;
+            } else if (reorder) {
+                dragState.ghost.textContent = 'Move here';
             } else if (songItem && songItem !== dragState.originEl) {
                 const title = songItem.dataset?.title || 'Song';
                 dragState.ghost.textContent = `Group with: ${title}`;
+            } else if (fromPlaylistId) {
+                const name = dragState.originEl.closest('.playlist-item')?.dataset?.name || 'Playlist';
+                dragState.ghost.textContent = `Remove from: ${name}`;
             } else {
                 dragState.ghost.textContent = 'Move to: Library';
             }
@@ -2239,11 +6318,22 @@ async function endDrag(e) {
     const playlistHeader = targetEl?.closest('.playlist-header');
 
     try {
-        if (dragState.type === 'song') {
+        if (isSmartDropTarget(playlistHeader, songItem)) {
+            // Nothing can be dropped into a smart playlist
+        } else if (dragState.type === 'song') {
+            // Songs dragged out of a playlist leave it; songs dragged from elsewhere are added
+            const fromPlaylistId = getListedPlaylistId(dragState.originEl);
             if (playlistHeader) {
                 const playlistId = playlistHeader.parentElement.dataset.id;
-                await moveSongToPlaylist(dragState.id, playlistId);
+                await moveSongToPlaylist(dragState.id, playlistId, fromPlaylistId);
                 await cleanupEmptyPlaylists();
+            } else if (isReorderTarget(songItem)) {
+                const ids = Array.from(songItem.parentElement.querySelectorAll(':scope > .song-item')).map(el => el.dataset.id);
+                const fromIndex = ids.indexOf(dragState.id);
+                let index = ids.indexOf(songItem.dataset.id) + (isBelowMiddle(songItem, y) ? 1 : 0);
+                if (fromIndex < index) index--;
+                await movePlaylistEntry(fromPlaylistId, dragState.id, index);
+                await renderSongs();
             } else if (songItem && songItem !== dragState.originEl) {
                 // Create a new playlist with both songs
                 const otherSongId = songItem.dataset.id;
@@ -2251,14 +6341,14 @@ async function endDrag(e) {
                 const thisSong = await idbGet('audio', dragState.id);
                 const newName = `${(thisSong.title || 'Song').slice(0, 12)} + ${(otherSong.title || 'Song').slice(0, 12)}`;
                 // Place new playlist inside target song's parent playlist if exists
-                const parentId = songItem.dataset.playlistId && songItem.dataset.playlistId !== 'root' ? songItem.dataset.playlistId : null;
+                const parentId = getListedPlaylistId(songItem);
                 const pl = await createPlaylist({ name: newName, parentId });
-                await moveSongToPlaylist(thisSong.id, pl.id);
-                await moveSongToPlaylist(otherSong.id, pl.id);
+                await moveSongToPlaylist(thisSong.id, pl.id, fromPlaylistId);
+                await moveSongToPlaylist(otherSong.id, pl.id, parentId);
                 await cleanupEmptyPlaylists();
-            } else if (songsList.contains(targetEl)) {
-                // Drop to root
-                await moveSongToPlaylist(dragState.id, null);
+            } else if (songsList.contains(targetEl) && fromPlaylistId) {
+                // Drop to root: take the song out of the playlist it was dragged from
+                await moveSongToPlaylist(dragState.id, null, fromPlaylistId);
                 await cleanupEmptyPlaylists();
             }
         } else if (dragState.type === 'playlist') {
@@ -2285,34 +6375,64 @@ function resetDragState() {
     dragState = { active: false, type: null, id: null, ghost: null, startX: 0, startY: 0, longPressTimer: null, originEl: null };
 }
 
+// Playing a song from the panel makes the playlist it's listed under (or the library) the playback context
+async function setPlaybackContextForSong(playlists, playlistId = null) {
+    if (!playlistId) {
+        await setPlaybackContext({ type: 'library' });
+    } else if (!isPlaylistInContext(playlistId, playlists)) {
+        await setPlaybackContext({ type: 'playlist', playlistId, includeChildren: false });
+    }
+}
+
+async function updatePlayingFromLabel() {
+    if (!playingFromElement) return;
+    let label = '';
+    if (playbackContext.type === 'playlist') {
+        const playlist = await idbGet('playlists', playbackContext.playlistId);
+        if (playlist) {
+            label = `from ${playlist.name || 'Playlist'}${playbackContext.includeChildren ? ' +nested' : ''}`;
+        }
+    }
+    playingFromElement.textContent = label;
+}
+
+// Show a song's title, artist and cover on the record and remember it as last played
+async function showSongDetails(recordItem) {
+    songTitleElement.textContent = recordItem.title || 'UNKNOWN';
+    songAuthorElement.textContent = recordItem.artist || 'UNNAMED';
+    applyEffectsForSong(recordItem);
+    updateMediaSessionMetadata(recordItem);
+    loadCuePoints(recordItem);
+    
+    // Update last played ID
+    await saveSetting('lastPlayedId', recordItem.id);
+    
+    // Handle background image
+    if (recordItem.cover instanceof Blob) {
+        const coverUrl = URL.createObjectURL(recordItem.cover);
+        setCurrentRecordCover(coverUrl); // Use proper management instead of adding to song list URLs
+        await updateRecordAppearance(coverUrl);
+        // Don't store blob URLs in lastCoverUrl anymore
+    } else {
+        // Use the song's permanent gradient
+        if (!recordItem.gradient) {
+            // For older records without a gradient, generate and save one
+            recordItem.gradient = generateRandomGradient();
+            await idbPut('audio', recordItem);
+        }
+        await updateRecordAppearance(recordItem.gradient);
+        // Store the gradient in lastCoverUrl since it's permanent
+        await saveSetting('lastCoverUrl', recordItem.gradient);
+    }
+}
+
 async function loadSong(recordItem, shouldPlay = true) {
     try {
         stopAudio();
-        songTitleElement.textContent = recordItem.title || 'UNKNOWN';
-        songAuthorElement.textContent = recordItem.artist || 'UNNAMED';
-        
-        // Update last played ID
-        await saveSetting('lastPlayedId', recordItem.id);
-        
-        // Handle background image
-        if (recordItem.cover instanceof Blob) {
-            const coverUrl = URL.createObjectURL(recordItem.cover);
-            setCurrentRecordCover(coverUrl); // Use proper management instead of adding to song list URLs
-            await updateRecordAppearance(coverUrl);
-            // Don't store blob URLs in lastCoverUrl anymore
-        } else {
-            // Use the song's permanent gradient
-            if (!recordItem.gradient) {
-                // For older records without a gradient, generate and save one
-                recordItem.gradient = generateRandomGradient();
-                await idbPut('audio', recordItem);
-            }
-            await updateRecordAppearance(recordItem.gradient);
-            // Store the gradient in lastCoverUrl since it's permanent
-            await saveSetting('lastCoverUrl', recordItem.gradient);
-        }
-        
-        await setupAudioPlayback(recordItem.file);
+        await showSongDetails(recordItem);
+        const file = await getSongFile(recordItem.id);
+        if (!file) throw new Error(`Audio file missing for ${recordItem.id}`);
+        await setupAudioPlayback(file, recordItem.id, recordItem);
         if (shouldPlay) {
             handlePlayback();
         }
@@ -2324,6 +6444,31 @@ async function loadSong(recordItem, shouldPlay = true) {
 
 // Import the ContextMenu class
 import ContextMenu from './context-menu.js';
+import AudioEffectsChain, {
+    EQ_PRESETS,
+    RPM_SPEEDS,
+    VinylSimulator,
+    PitchShifter,
+    semitonesToRatio,
+    getRpmRate,
+    createEffectsSettings,
+    getDefaultEffectsSettings,
+    normalizeEffectsSettings
+} from './audio-effects.js';
+import ScratchEngine from './scratch-engine.js';
+import {
+    REFERENCE_LOUDNESS,
+    analyzeFileLoudness,
+    combineLoudness,
+    getNormalizationGain,
+    parseReplayGainValue
+} from './loudness.js';
+import { normalizeImageMime, pickCoverPicture } from './id3.js';
+import { readTags } from './tag-readers.js';
+import { writeTags } from './tag-writer.js';
+import { FINGERPRINT_VERSION, analyzeFileFingerprint, compareFingerprints } from './fingerprint.js';
+import { matchesSmartRules, showSmartPlaylistDialog } from './smart-playlists.js';
+import { createZip, readZipDirectory, readZipEntry } from './zip.js';
 
 // Initialize the context menu
 const contextMenu = new ContextMenu(db);
@@ -2338,17 +6483,25 @@ async function ensurePlaylistContextMenu() {
             await createPlaylist({ name: null, parentId });
             await renderSongs();
         },
+        onCreateSmart: (parentId) => openSmartPlaylistDialog(null, parentId),
+        onEditSmart: (playlist) => openSmartPlaylistDialog(playlist),
         onRename: async (id, name) => {
             await renamePlaylist(id, name);
             await renderSongs();
         },
         onDelete: async (id, options) => {
             await deletePlaylist(id, options);
+            if (playbackContext.type === 'playlist' && playbackContext.playlistId === id) {
+                await setPlaybackContext({ type: 'library' });
+            }
             await renderSongs();
         },
         onMove: async (id, newParentId) => {
             await movePlaylist(id, newParentId);
             await renderSongs();
+        },
+        onPlay: async (id, options) => {
+            await playPlaylist(id, options);
         }
     });
     window.playlistContextMenu = playlistContextMenuInstance;
@@ -2918,7 +7071,9 @@ if (generateButton) {
             console.error('Music generation error:', error);
             
             // Don't show error if it was cancelled
-            if (error.name !== 'AbortError') {
+            if (error.name === 'QuotaExceededError') {
+                showStorageFullError();
+            } else if (error.name !== 'AbortError') {
                 // Use the new error handling system
                 errorHandler.showError(error, {
                     title: 'Music Generation Failed',
@@ -3017,22 +7172,32 @@ async function processGeneratedMusic(file, prompt) {
             // Use fallback values already set above
         }
 
+        await ensureStorageRoom(file.size + (coverImageBlob?.size || 0));
+
         // Store in IndexedDB with proper metadata
-        const audioRecord = {
+        let audioRecord = {
             id,
-            file,
             title: title,
             artist: artist,
             cover: coverImageBlob, // Use generated cover image if available
             gradient: gradient, // Keep gradient as fallback
             createdAt: Date.now(),
+            playCount: 0,
+            lastPlayedAt: null,
+            source: 'ai',
             isGenerated: true // Flag to identify generated music
         };
-        await idbPut('audio', audioRecord);
+        audioRecord = await putSong(audioRecord, file);
+        scheduleLoudnessAnalysis(id);
 
         // Update UI immediately with smooth transition
         songTitleElement.textContent = audioRecord.title;
         songAuthorElement.textContent = audioRecord.artist;
+        // Drop the previous song's cue points and A-B loop
+        loadCuePoints(audioRecord);
+        // Its own effects override, and "this song only" changes saved to it
+        applyEffectsForSong(audioRecord);
+        updateMediaSessionMetadata(audioRecord);
         
         // Update record appearance with generated cover or gradient fallback
         if (coverImageBlob) {
@@ -3045,7 +7210,8 @@ async function processGeneratedMusic(file, prompt) {
 
         // Set up audio playback with error handling
         try {
-            await setupAudioPlayback(file);
+            await setupAudioPlayback(file, id);
+            await saveSetting('lastPlayedId', id);
             
             // Wait a moment for audio to be ready, then start playback
             setTimeout(() => {
@@ -3107,64 +7273,66 @@ window.createPlaylist = createPlaylist;
 window.renamePlaylist = renamePlaylist;
 window.deletePlaylist = deletePlaylist;
 window.moveSongToPlaylist = moveSongToPlaylist;
+window.addSongToPlaylist = addSongToPlaylist;
+window.removeSongFromPlaylist = removeSongFromPlaylist;
 window.movePlaylist = movePlaylist;
 window.updatePlaylist = updatePlaylist;
-
-// Cleanup empty playlists (recursively remove playlists with no songs and no child playlists)
-async function cleanupEmptyPlaylists() {
-    const [playlists, songs] = await Promise.all([
-        idbGetAll('playlists'),
-        idbGetAll('audio')
-    ]);
-    if (!playlists.length) {
-        await renderSongs();
-        return;
-    }
+window.playNext = playNext;
+window.addToQueue = addToQueue;
+window.exportSong = exportSong;
+window.deleteSong = deleteSong;
+
+// Memberships pointing at songs or playlists that no longer exist, empty playlists
+// (no songs and no child playlists, counting children that are empty themselves)
+// and playlists whose parent is gone. Smart playlists are never empty.
+function findPlaylistCleanup(playlists, entries, songIds) {
+    const playlistIds = new Set(playlists.map(p => p.id));
+    const staleEntries = [];
     const songsByPl = new Map();
-    for (const s of songs) {
-        const key = s.playlistId || null;
-        songsByPl.set(key, (songsByPl.get(key) || 0) + 1);
-    }
-    const childrenByPl = new Map();
-    for (const p of playlists) {
-        const key = p.parentId || null;
-        childrenByPl.set(key, (childrenByPl.get(key) || 0) + 1);
-    }
-    // Iteratively delete empties (affects parents becoming empty after children removed)
-    let deletedAny = false;
-    const toDelete = new Set();
-    while (true) {
-        let found = false;
+    for (const entry of entries) {
+        if (!songIds.has(entry.songId) || !playlistIds.has(entry.playlistId)) {
+            staleEntries.push(entry);
+            continue;
+        }
+        songsByPl.set(entry.playlistId, (songsByPl.get(entry.playlistId) || 0) + 1);
+    }
+    // Removing a playlist can leave its parent empty, so repeat until nothing changes
+    const emptyIds = new Set();
+    let found = true;
+    while (found) {
+        found = false;
         for (const p of playlists) {
-            if (toDelete.has(p.id)) continue;
-            const songCount = songsByPl.get(p.id) || 0;
-            // Children count excluding those already marked for deletion
-            let childCount = 0;
-            for (const c of playlists) {
-                if (toDelete.has(c.id)) continue;
-                if ((c.parentId || null) === p.id) childCount++;
-            }
-            if (songCount === 0 && childCount === 0) {
-                toDelete.add(p.id);
+            if (p.smart || emptyIds.has(p.id) || songsByPl.get(p.id)) continue;
+            const hasChildren = playlists.some(c => !emptyIds.has(c.id) && (c.parentId || null) === p.id);
+            if (!hasChildren) {
+                emptyIds.add(p.id);
                 found = true;
             }
         }
-        if (!found) break;
-        deletedAny = true;
-        // Apply deletions
-        for (const id of toDelete) {
-            // Only delete once
-            const idx = playlists.findIndex(pp => pp.id === id);
-            if (idx !== -1) {
-                await idbDelete('playlists', id);
-            }
-        }
-        break; // One pass is enough since we recompute parent childCount above excluding toDelete
     }
-    if (deletedAny) {
-        await renderSongs();
-    } else {
-        await renderSongs();
+    const orphans = playlists.filter(p => p.parentId && !playlistIds.has(p.parentId) && !emptyIds.has(p.id));
+    return { staleEntries, emptyIds, orphans };
+}
+
+// Cleanup empty playlists and stale memberships. Returns { deleted, reattached }.
+async function cleanupEmptyPlaylists() {
+    const [playlists, songIds, entries] = await Promise.all([
+        idbGetAll('playlists'),
+        idbGetAllKeys('audio'),
+        idbGetAll('playlistSongs')
+    ]);
+    const { staleEntries, emptyIds, orphans } = findPlaylistCleanup(playlists, entries, new Set(songIds));
+    for (const entry of staleEntries) {
+        await idbDelete('playlistSongs', entry.id);
+    }
+    for (const id of emptyIds) {
+        await idbDelete('playlists', id);
+    }
+    // A playlist whose parent is gone is never shown; bring it back to the top level
+    for (const playlist of orphans) {
+        await idbPut('playlists', { ...playlist, parentId: null, updatedAt: Date.now() });
     }
+    await renderSongs();
+    return { deleted: emptyIds.size, reattached: orphans.length };
 }
 window.cleanupEmptyPlaylists = cleanupEmptyPlaylists;
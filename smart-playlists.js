@@ -0,0 +1,268 @@
+// Smart playlists: playlist records with `smart: true`, a list of rules and
+// whether a song has to match all or any of them. Their songs aren't stored,
+// they are worked out from the library every time they're shown or played.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const SMART_RULE_FIELDS = {
+    title: { label: 'Title', type: 'text' },
+    artist: { label: 'Artist', type: 'text' },
+    album: { label: 'Album', type: 'text' },
+    genre: { label: 'Genre', type: 'text' },
+    addedAt: { label: 'Added', type: 'age' },
+    playCount: { label: 'Play count', type: 'number' },
+    lastPlayed: { label: 'Last played', type: 'played' },
+    duration: { label: 'Length (min)', type: 'number' },
+    source: {
+        label: 'Source',
+        type: 'choice',
+        options: { local: 'Local file', ai: 'AI generated', url: 'From URL' }
+    }
+};
+
+const OPERATORS = {
+    text: { contains: 'contains', notContains: 'does not contain', is: 'is', isNot: 'is not', startsWith: 'starts with' },
+    number: { gt: 'is more than', lt: 'is less than', eq: 'is' },
+    age: { within: 'in the last (days)', notWithin: 'not in the last (days)' },
+    played: { never: 'never', within: 'in the last (days)', notWithin: 'not in the last (days)' },
+    choice: { is: 'is', isNot: 'is not' }
+};
+
+export function createDefaultRule(field = 'artist') {
+    const { type, options } = SMART_RULE_FIELDS[field];
+    const operator = Object.keys(OPERATORS[type])[0];
+    const value = type === 'choice' ? Object.keys(options)[0] : type === 'text' ? '' : 30;
+    return { field, operator, value };
+}
+
+const isWithinDays = (timestamp, days) => !!timestamp && Date.now() - timestamp <= Number(days) * DAY_MS;
+
+// facts: { playCount, lastPlayedAt, duration (seconds or null), source } for the song
+function matchesRule(rule, song, facts) {
+    const definition = SMART_RULE_FIELDS[rule.field];
+    if (!definition) return false;
+
+    switch (definition.type) {
+        case 'text': {
+            const text = String(song[rule.field] || '').trim().toLowerCase();
+            const value = String(rule.value || '').trim().toLowerCase();
+            switch (rule.operator) {
+                case 'contains': return text.includes(value);
+                case 'notContains': return !text.includes(value);
+                case 'is': return text === value;
+                case 'isNot': return text !== value;
+                case 'startsWith': return text.startsWith(value);
+            }
+            return false;
+        }
+        case 'number': {
+            const actual = rule.field === 'duration'
+                ? (facts.duration == null ? null : facts.duration / 60)
+                : facts.playCount;
+            // Songs whose length isn't known yet can't be compared
+            if (actual == null) return false;
+            const value = Number(rule.value);
+            switch (rule.operator) {
+                case 'gt': return actual > value;
+                case 'lt': return actual < value;
+                case 'eq': return rule.field === 'duration' ? Math.round(actual) === value : actual === value;
+            }
+            return false;
+        }
+        case 'age':
+            return rule.operator === 'notWithin'
+                ? !isWithinDays(song.createdAt, rule.value)
+                : isWithinDays(song.createdAt, rule.value);
+        case 'played':
+            if (rule.operator === 'never') return !facts.lastPlayedAt;
+            return rule.operator === 'notWithin'
+                ? !isWithinDays(facts.lastPlayedAt, rule.value)
+                : isWithinDays(facts.lastPlayedAt, rule.value);
+        case 'choice':
+            return rule.operator === 'isNot' ? facts.source !== rule.value : facts.source === rule.value;
+    }
+    return false;
+}
+
+// A smart playlist without rules holds the whole library
+export function matchesSmartRules(playlist, song, facts) {
+    const rules = playlist.rules || [];
+    if (!rules.length) return true;
+    return playlist.match === 'any'
+        ? rules.some(rule => matchesRule(rule, song, facts))
+        : rules.every(rule => matchesRule(rule, song, facts));
+}
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, ch => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[ch]);
+
+const renderOptions = (options, selected) => Object.entries(options)
+    .map(([value, label]) => `<option value="${value}"${value === selected ? ' selected' : ''}>${escapeHtml(label)}</option>`)
+    .join('');
+
+// Create or edit a smart playlist's name and rules.
+// countMatches(draft) returns how many songs the draft would hold;
+// onSave({ name, match, rules }) stores it.
+export function showSmartPlaylistDialog(playlist, { countMatches, onSave }) {
+    const draft = {
+        name: playlist?.name || '',
+        match: playlist?.match === 'any' ? 'any' : 'all',
+        rules: (playlist?.rules?.length ? playlist.rules : [createDefaultRule()]).map(rule => ({ ...rule }))
+    };
+
+    const dialog = document.createElement('div');
+    dialog.className = 'edit-dialog smart-playlist-dialog';
+    dialog.innerHTML = `
+        <div class="edit-dialog-content">
+            <div class="edit-form">
+                <div class="form-group">
+                    <label for="smart-name">Name</label>
+                    <input type="text" id="smart-name" placeholder="Smart Playlist" />
+                </div>
+                <div class="smart-match">
+                    Songs matching
+                    <select class="smart-select smart-match-select" aria-label="Match all or any rule">
+                        ${renderOptions({ all: 'all', any: 'any' }, draft.match)}
+                    </select>
+                    of these rules
+                </div>
+                <div class="smart-rules"></div>
+                <button type="button" class="smart-add-rule"><i class="fas fa-plus"></i> Add rule</button>
+                <div class="smart-preview"></div>
+                <div class="dialog-buttons">
+                    <button class="cancel-btn">Cancel</button>
+                    <button class="save-btn">Save</button>
+                </div>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(dialog);
+
+    const nameInput = dialog.querySelector('#smart-name');
+    const rulesEl = dialog.querySelector('.smart-rules');
+    const previewEl = dialog.querySelector('.smart-preview');
+    nameInput.value = draft.name;
+
+    let previewToken = 0;
+    const updatePreview = async () => {
+        const token = ++previewToken;
+        const count = await countMatches(draft);
+        if (token !== previewToken) return;
+        previewEl.textContent = `${count} song${count === 1 ? '' : 's'} right now`;
+    };
+
+    const renderRules = () => {
+        rulesEl.innerHTML = '';
+        draft.rules.forEach((rule, index) => {
+            const definition = SMART_RULE_FIELDS[rule.field];
+            const row = document.createElement('div');
+            row.className = 'smart-rule';
+
+            const fieldSelect = document.createElement('select');
+            fieldSelect.className = 'smart-select';
+            fieldSelect.setAttribute('aria-label', 'Field');
+            fieldSelect.innerHTML = renderOptions(
+                Object.fromEntries(Object.entries(SMART_RULE_FIELDS).map(([key, field]) => [key, field.label])),
+                rule.field
+            );
+            fieldSelect.addEventListener('change', () => {
+                draft.rules[index] = createDefaultRule(fieldSelect.value);
+                renderRules();
+            });
+
+            const operatorSelect = document.createElement('select');
+            operatorSelect.className = 'smart-select';
+            operatorSelect.setAttribute('aria-label', 'Condition');
+            operatorSelect.innerHTML = renderOptions(OPERATORS[definition.type], rule.operator);
+            operatorSelect.addEventListener('change', () => {
+                rule.operator = operatorSelect.value;
+                renderRules();
+            });
+
+            row.appendChild(fieldSelect);
+            row.appendChild(operatorSelect);
+
+            if (definition.type === 'choice') {
+                const valueSelect = document.createElement('select');
+                valueSelect.className = 'smart-select';
+                valueSelect.setAttribute('aria-label', 'Value');
+                valueSelect.innerHTML = renderOptions(definition.options, rule.value);
+                valueSelect.addEventListener('change', () => {
+                    rule.value = valueSelect.value;
+                    updatePreview();
+                });
+                row.appendChild(valueSelect);
+            } else if (rule.operator !== 'never') {
+                const valueInput = document.createElement('input');
+                valueInput.className = 'smart-value';
+                valueInput.setAttribute('aria-label', 'Value');
+                if (definition.type === 'text') {
+                    valueInput.type = 'text';
+                } else {
+                    valueInput.type = 'number';
+                    valueInput.min = '0';
+                    valueInput.step = rule.field === 'duration' ? '0.5' : '1';
+                }
+                valueInput.value = rule.value;
+                valueInput.addEventListener('input', () => {
+                    rule.value = definition.type === 'text' ? valueInput.value : Number(valueInput.value) || 0;
+                    updatePreview();
+                });
+                row.appendChild(valueInput);
+            }
+
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'smart-remove-rule';
+            removeBtn.setAttribute('aria-label', 'Remove rule');
+            removeBtn.innerHTML = '<i class="fas fa-times"></i>';
+            removeBtn.disabled = draft.rules.length === 1;
+            removeBtn.addEventListener('click', () => {
+                draft.rules.splice(index, 1);
+                renderRules();
+            });
+            row.appendChild(removeBtn);
+
+            rulesEl.appendChild(row);
+        });
+        updatePreview();
+    };
+    renderRules();
+
+    dialog.querySelector('.smart-match-select').addEventListener('change', (e) => {
+        draft.match = e.target.value;
+        updatePreview();
+    });
+    dialog.querySelector('.smart-add-rule').addEventListener('click', () => {
+        draft.rules.push(createDefaultRule());
+        renderRules();
+    });
+
+    const close = () => {
+        document.removeEventListener('keydown', onKeyDown);
+        dialog.remove();
+    };
+    const onKeyDown = (e) => {
+        if (e.key === 'Escape') close();
+    };
+    document.addEventListener('keydown', onKeyDown);
+    dialog.addEventListener('click', (e) => {
+        if (e.target === dialog) close();
+    });
+    dialog.querySelector('.cancel-btn').addEventListener('click', close);
+    dialog.querySelector('.save-btn').addEventListener('click', async () => {
+        try {
+            await onSave({
+                name: nameInput.value.trim(),
+                match: draft.match,
+                rules: draft.rules
+            });
+            close();
+        } catch (err) {
+            console.error('Error saving smart playlist:', err);
+        }
+    });
+
+    nameInput.focus();
+}
@@ -0,0 +1,414 @@
+// Tag readers for the formats besides MP3: FLAC, Ogg Vorbis/Opus, MP4/M4A and WAV.
+// readTags(bytes) picks the reader by the file's signature and returns the same
+// shape as parseId3v2 (see createEmptyTag), or null when nothing is found.
+import {
+    GENRES,
+    createEmptyTag,
+    getId3v2Size,
+    normalizeImageMime,
+    parseGenre,
+    parseId3v2,
+    parsePosition,
+    PICTURE_TYPES
+} from './id3.js';
+
+const latin1 = new TextDecoder('latin1');
+const utf8 = new TextDecoder('utf-8');
+
+const readUint32BE = (bytes, offset) =>
+    ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+const readUint32LE = (bytes, offset) =>
+    (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+const readUint16BE = (bytes, offset) => (bytes[offset] << 8) | bytes[offset + 1];
+
+const matchesAt = (bytes, offset, text) => {
+    for (let i = 0; i < text.length; i++) {
+        if (bytes[offset + i] !== text.charCodeAt(i)) return false;
+    }
+    return true;
+};
+
+const firstYear = (value) => {
+    const match = String(value || '').match(/\d{4}/);
+    return match ? Number(match[0]) : null;
+};
+
+// FLAC PICTURE block layout, also used base64-encoded in Ogg comments
+function readFlacPicture(bytes) {
+    let offset = 0;
+    const type = readUint32BE(bytes, offset); offset += 4;
+    const mimeLength = readUint32BE(bytes, offset); offset += 4;
+    const mime = latin1.decode(bytes.subarray(offset, offset + mimeLength)); offset += mimeLength;
+    const descriptionLength = readUint32BE(bytes, offset); offset += 4;
+    const description = utf8.decode(bytes.subarray(offset, offset + descriptionLength)); offset += descriptionLength;
+    offset += 16; // width, height, colour depth, indexed colours
+    const dataLength = readUint32BE(bytes, offset); offset += 4;
+    const data = bytes.slice(offset, offset + dataLength);
+    if (mime === '-->' || data.length === 0) return null;
+    return {
+        type,
+        typeName: PICTURE_TYPES[type] || 'Other',
+        mimeType: normalizeImageMime(mime, data),
+        description,
+        data
+    };
+}
+
+function decodeBase64(value) {
+    const binary = atob(value.replace(/\s/g, ''));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
+
+// Vorbis comments (FLAC, Ogg Vorbis, Opus): little-endian lengths, "KEY=value" UTF-8 pairs
+function readVorbisComments(bytes, tag) {
+    let offset = 0;
+    const vendorLength = readUint32LE(bytes, offset);
+    offset += 4 + vendorLength;
+    const count = readUint32LE(bytes, offset);
+    offset += 4;
+
+    const fields = new Map();
+    for (let i = 0; i < count && offset + 4 <= bytes.length; i++) {
+        const length = readUint32LE(bytes, offset);
+        offset += 4;
+        const entry = utf8.decode(bytes.subarray(offset, offset + length));
+        offset += length;
+        const separator = entry.indexOf('=');
+        if (separator <= 0) continue;
+        const key = entry.slice(0, separator).toUpperCase();
+        const values = fields.get(key) || [];
+        values.push(entry.slice(separator + 1));
+        fields.set(key, values);
+    }
+
+    const get = (...keys) => {
+        for (const key of keys) {
+            const values = fields.get(key);
+            if (values && values[0].trim()) return values[0].trim();
+        }
+        return null;
+    };
+
+    tag.title = get('TITLE');
+    tag.artist = fields.has('ARTIST') ? fields.get('ARTIST').map(v => v.trim()).filter(Boolean).join(', ') : null;
+    tag.album = get('ALBUM');
+    tag.albumArtist = get('ALBUMARTIST', 'ALBUM ARTIST');
+    tag.composer = get('COMPOSER');
+    tag.genre = fields.has('GENRE') ? fields.get('GENRE').flatMap(parseGenre).join(', ') || null : null;
+    tag.year = firstYear(get('DATE', 'YEAR', 'ORIGINALDATE'));
+
+    const track = parsePosition(get('TRACKNUMBER') || '');
+    tag.trackNumber = track.number;
+    tag.trackTotal = track.total ?? parseInt(get('TRACKTOTAL', 'TOTALTRACKS') || '', 10) ?? null;
+    const disc = parsePosition(get('DISCNUMBER') || '');
+    tag.discNumber = disc.number;
+    tag.discTotal = disc.total ?? parseInt(get('DISCTOTAL', 'TOTALDISCS') || '', 10) ?? null;
+    if (!Number.isFinite(tag.trackTotal)) tag.trackTotal = null;
+    if (!Number.isFinite(tag.discTotal)) tag.discTotal = null;
+
+    const bpm = parseFloat(get('BPM', 'TEMPO') || '');
+    tag.bpm = Number.isFinite(bpm) ? Math.round(bpm) : null;
+
+    for (const text of [...(fields.get('COMMENT') || []), ...(fields.get('DESCRIPTION') || [])]) {
+        tag.comments.push({ language: '', description: '', text });
+    }
+    for (const text of [...(fields.get('LYRICS') || []), ...(fields.get('UNSYNCEDLYRICS') || [])]) {
+        tag.unsyncedLyrics.push({ language: '', description: '', text });
+    }
+
+    for (const value of fields.get('METADATA_BLOCK_PICTURE') || []) {
+        try {
+            const picture = readFlacPicture(decodeBase64(value));
+            if (picture) tag.pictures.push(picture);
+        } catch (error) {
+            console.warn('Skipping unreadable embedded picture:', error);
+        }
+    }
+    // Older, unofficial cover field: bare base64 image data
+    (fields.get('COVERART') || []).forEach((value, i) => {
+        try {
+            const data = decodeBase64(value);
+            const mime = (fields.get('COVERARTMIME') || [])[i];
+            tag.pictures.push({ type: 3, typeName: PICTURE_TYPES[3], mimeType: normalizeImageMime(mime, data), description: '', data });
+        } catch (error) {
+            console.warn('Skipping unreadable cover art:', error);
+        }
+    });
+
+    const known = new Set([
+        'TITLE', 'ARTIST', 'ALBUM', 'ALBUMARTIST', 'ALBUM ARTIST', 'COMPOSER', 'GENRE', 'DATE', 'YEAR',
+        'TRACKNUMBER', 'TRACKTOTAL', 'TOTALTRACKS', 'DISCNUMBER', 'DISCTOTAL', 'TOTALDISCS', 'BPM',
+        'COMMENT', 'DESCRIPTION', 'LYRICS', 'UNSYNCEDLYRICS', 'METADATA_BLOCK_PICTURE', 'COVERART', 'COVERARTMIME'
+    ]);
+    for (const [key, values] of fields) {
+        if (!known.has(key)) tag.userText[key] = values[0];
+    }
+}
+
+function readFlac(bytes, start) {
+    const tag = createEmptyTag('FLAC');
+    let offset = start + 4;
+    let isLast = false;
+    while (!isLast && offset + 4 <= bytes.length) {
+        const header = bytes[offset];
+        isLast = (header & 0x80) !== 0;
+        const type = header & 0x7f;
+        const length = (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3];
+        const block = bytes.subarray(offset + 4, offset + 4 + length);
+        if (type === 4) {
+            readVorbisComments(block, tag);
+        } else if (type === 6) {
+            const picture = readFlacPicture(block);
+            if (picture) tag.pictures.push(picture);
+        }
+        offset += 4 + length;
+    }
+    return tag;
+}
+
+// Reassemble the first packets of the first logical Ogg stream
+function readOggPackets(bytes, wanted) {
+    const packets = [];
+    let current = [];
+    let serial = null;
+    let offset = 0;
+
+    while (packets.length < wanted && offset + 27 <= bytes.length && matchesAt(bytes, offset, 'OggS')) {
+        const pageSerial = readUint32LE(bytes, offset + 14);
+        const segmentCount = bytes[offset + 26];
+        const table = bytes.subarray(offset + 27, offset + 27 + segmentCount);
+        let dataOffset = offset + 27 + segmentCount;
+        if (serial === null) serial = pageSerial;
+
+        for (const segmentLength of table) {
+            if (pageSerial === serial) {
+                current.push(bytes.subarray(dataOffset, dataOffset + segmentLength));
+                // A segment shorter than 255 bytes ends the packet
+                if (segmentLength < 255) {
+                    const length = current.reduce((sum, part) => sum + part.length, 0);
+                    const packet = new Uint8Array(length);
+                    let position = 0;
+                    for (const part of current) {
+                        packet.set(part, position);
+                        position += part.length;
+                    }
+                    packets.push(packet);
+                    current = [];
+                    if (packets.length >= wanted) break;
+                }
+            }
+            dataOffset += segmentLength;
+        }
+        offset = dataOffset;
+    }
+    return packets;
+}
+
+function readOgg(bytes) {
+    const [identification, comments] = readOggPackets(bytes, 2);
+    if (!identification || !comments) return null;
+
+    if (matchesAt(identification, 0, 'OpusHead') && matchesAt(comments, 0, 'OpusTags')) {
+        const tag = createEmptyTag('Opus');
+        readVorbisComments(comments.subarray(8), tag);
+        return tag;
+    }
+    if (matchesAt(identification, 1, 'vorbis') && comments[0] === 0x03 && matchesAt(comments, 1, 'vorbis')) {
+        const tag = createEmptyTag('Ogg Vorbis');
+        readVorbisComments(comments.subarray(7), tag);
+        return tag;
+    }
+    // FLAC in Ogg: the first packet carries the STREAMINFO, the comment block follows
+    if (identification[0] === 0x7f && matchesAt(identification, 1, 'FLAC') && (comments[0] & 0x7f) === 4) {
+        const tag = createEmptyTag('Ogg FLAC');
+        readVorbisComments(comments.subarray(4), tag);
+        return tag;
+    }
+    return null;
+}
+
+// MP4 atoms: 32-bit size (1 = 64-bit size follows, 0 = to the end) and a four-character type.
+// Yields { type, atomStart (header), start (body), end }; the tag writer walks them too.
+export function* readAtoms(bytes, start, end) {
+    let offset = start;
+    while (offset + 8 <= end) {
+        let size = readUint32BE(bytes, offset);
+        const type = latin1.decode(bytes.subarray(offset + 4, offset + 8));
+        let headerSize = 8;
+        if (size === 1) {
+            size = readUint32BE(bytes, offset + 8) * 2 ** 32 + readUint32BE(bytes, offset + 12);
+            headerSize = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+        if (size < headerSize || offset + size > end) return;
+        yield { type, atomStart: offset, start: offset + headerSize, end: offset + size };
+        offset += size;
+    }
+}
+
+function findAtom(bytes, start, end, path) {
+    let range = { start, end };
+    for (const name of path) {
+        let found = null;
+        for (const atom of readAtoms(bytes, range.start, range.end)) {
+            if (atom.type === name) {
+                found = atom;
+                break;
+            }
+        }
+        if (!found) return null;
+        // 'meta' is a full atom: version and flags come before its children
+        range = name === 'meta' ? { start: found.start + 4, end: found.end } : found;
+    }
+    return range;
+}
+
+function readMp4(bytes) {
+    const ilst = findAtom(bytes, 0, bytes.length, ['moov', 'udta', 'meta', 'ilst']);
+    if (!ilst) return null;
+    const tag = createEmptyTag('MP4');
+
+    for (const item of readAtoms(bytes, ilst.start, ilst.end)) {
+        let name = null;
+        const values = [];
+        for (const child of readAtoms(bytes, item.start, item.end)) {
+            if (child.type === 'name') {
+                name = utf8.decode(bytes.subarray(child.start + 4, child.end));
+            } else if (child.type === 'data') {
+                // 4 bytes version + type, 4 bytes locale
+                values.push({ type: readUint32BE(bytes, child.start) & 0xffffff, data: bytes.subarray(child.start + 8, child.end) });
+            }
+        }
+        if (values.length === 0) continue;
+        const text = () => utf8.decode(values[0].data).trim() || null;
+
+        switch (item.type) {
+            case '©nam': tag.title = text(); break;
+            case '©ART': tag.artist = text(); break;
+            case 'aART': tag.albumArtist = text(); break;
+            case '©alb': tag.album = text(); break;
+            case '©wrt': tag.composer = text(); break;
+            case '©day': tag.year = firstYear(text()); break;
+            case '©gen': tag.genre = text(); break;
+            case 'gnre': {
+                // ID3v1 genre index, off by one
+                const index = readUint16BE(values[0].data, 0) - 1;
+                if (!tag.genre && GENRES[index]) tag.genre = GENRES[index];
+                break;
+            }
+            case 'tmpo': tag.bpm = readUint16BE(values[0].data, 0) || null; break;
+            case '©cmt': tag.comments.push({ language: '', description: '', text: text() || '' }); break;
+            case '©lyr': tag.unsyncedLyrics.push({ language: '', description: '', text: text() || '' }); break;
+            case 'trkn':
+            case 'disk': {
+                const data = values[0].data;
+                const number = readUint16BE(data, 2) || null;
+                const total = data.length >= 6 ? readUint16BE(data, 4) || null : null;
+                if (item.type === 'trkn') {
+                    tag.trackNumber = number;
+                    tag.trackTotal = total;
+                } else {
+                    tag.discNumber = number;
+                    tag.discTotal = total;
+                }
+                break;
+            }
+            case 'covr':
+                for (const value of values) {
+                    const mime = value.type === 14 ? 'image/png' : value.type === 13 ? 'image/jpeg' : null;
+                    const data = value.data.slice();
+                    tag.pictures.push({ type: 3, typeName: PICTURE_TYPES[3], mimeType: normalizeImageMime(mime, data), description: '', data });
+                }
+                break;
+            case '----':
+                // Freeform iTunes items, e.g. replaygain_track_gain
+                if (name) tag.userText[name] = text() || '';
+                break;
+        }
+    }
+    return tag;
+}
+
+// WAV: RIFF chunks, little-endian, padded to even sizes. LIST/INFO plus an optional embedded ID3 tag.
+function readWav(bytes) {
+    let info = null;
+    let id3 = null;
+
+    const infoFields = {
+        INAM: 'title', IART: 'artist', IPRD: 'album', IGNR: 'genre', ICMT: 'comment',
+        ICRD: 'year', ITRK: 'track', IPRT: 'track', IMUS: 'composer', ICMP: 'composer'
+    };
+
+    let offset = 12;
+    while (offset + 8 <= bytes.length) {
+        const id = latin1.decode(bytes.subarray(offset, offset + 4));
+        const size = readUint32LE(bytes, offset + 4);
+        const start = offset + 8;
+        const end = Math.min(bytes.length, start + size);
+
+        if (id === 'LIST' && matchesAt(bytes, start, 'INFO')) {
+            info = {};
+            let sub = start + 4;
+            while (sub + 8 <= end) {
+                const subId = latin1.decode(bytes.subarray(sub, sub + 4));
+                const subSize = readUint32LE(bytes, sub + 4);
+                const value = utf8.decode(bytes.subarray(sub + 8, sub + 8 + subSize)).replace(/\0/g, '').trim();
+                if (infoFields[subId] && value) info[infoFields[subId]] = value;
+                sub += 8 + subSize + (subSize % 2);
+            }
+        } else if (id === 'id3 ' || id === 'ID3 ') {
+            id3 = parseId3v2(bytes.subarray(start, end));
+        }
+        offset = start + size + (size % 2);
+    }
+
+    if (!info && !id3) return null;
+    const tag = id3 || createEmptyTag('WAV');
+    tag.format = id3 ? `WAV (${id3.format})` : 'WAV';
+    if (info) {
+        // The ID3 chunk is richer; INFO only fills the gaps
+        tag.title = tag.title || info.title || null;
+        tag.artist = tag.artist || info.artist || null;
+        tag.album = tag.album || info.album || null;
+        tag.genre = tag.genre || info.genre || null;
+        tag.composer = tag.composer || info.composer || null;
+        tag.year = tag.year || firstYear(info.year);
+        if (!tag.trackNumber && info.track) {
+            const { number, total } = parsePosition(info.track);
+            tag.trackNumber = number;
+            tag.trackTotal = tag.trackTotal || total;
+        }
+        if (info.comment && tag.comments.length === 0) {
+            tag.comments.push({ language: '', description: '', text: info.comment });
+        }
+    }
+    return tag;
+}
+
+// Fill the summary fields every reader shares
+function finishTag(tag) {
+    if (!tag) return null;
+    if (!tag.comment) {
+        const comment = tag.comments.find(c => !c.description && c.text) || tag.comments.find(c => c.text);
+        tag.comment = comment ? comment.text : null;
+    }
+    if (!tag.lyrics) {
+        const lyrics = tag.unsyncedLyrics.find(l => l.text);
+        tag.lyrics = lyrics ? lyrics.text : null;
+    }
+    return tag;
+}
+
+export function readTags(bytes) {
+    // An ID3v2 tag may sit in front of FLAC (and AAC) data
+    const id3Size = getId3v2Size(bytes);
+    if (matchesAt(bytes, id3Size, 'fLaC')) return finishTag(readFlac(bytes, id3Size));
+    if (id3Size > 0) return finishTag(parseId3v2(bytes));
+    if (matchesAt(bytes, 0, 'OggS')) return finishTag(readOgg(bytes));
+    if (matchesAt(bytes, 4, 'ftyp')) return finishTag(readMp4(bytes));
+    if (matchesAt(bytes, 0, 'RIFF') && matchesAt(bytes, 8, 'WAVE')) return finishTag(readWav(bytes));
+    return null;
+}
@@ -0,0 +1,441 @@
+// Tag writers for exported songs: ID3v2.4 for MP3, Vorbis comments and PICTURE
+// blocks for FLAC, an ilst atom for MP4/M4A. writeTags(bytes, tag) returns
+// { format, blob } with the audio untouched, or null for formats we can't tag.
+//
+// tag: { title, artist, album, albumArtist, trackNumber, trackTotal, discNumber,
+//        discTotal, year, genre, composer, bpm, comment, lyrics,
+//        userText: { DESCRIPTION: value }, picture: { mimeType, data } | null }
+// Empty fields are removed from the file; tags we don't manage are kept.
+import { getId3v2Size, readId3v2Frames, readUserTextFrame } from './id3.js';
+import { readAtoms } from './tag-readers.js';
+
+const utf8 = new TextEncoder();
+const latin1 = new TextDecoder('latin1');
+
+// Four-character codes and MIME types are single-byte (MP4 uses 0xA9 for ©)
+const bytesOf = (text) => Uint8Array.from(text, c => c.charCodeAt(0) & 0xff);
+
+const uint32BE = (value) => new Uint8Array([value >>> 24, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff]);
+const uint32LE = (value) => new Uint8Array([value & 0xff, (value >>> 8) & 0xff, (value >>> 16) & 0xff, value >>> 24]);
+const uint16BE = (value) => new Uint8Array([(value >>> 8) & 0xff, value & 0xff]);
+const readUint32BE = (bytes, offset) =>
+    ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+const readUint32LE = (bytes, offset) =>
+    (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+
+function concat(parts) {
+    const arrays = parts.map(part => part instanceof Uint8Array ? part : Uint8Array.from(part));
+    const out = new Uint8Array(arrays.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of arrays) {
+        out.set(part, offset);
+        offset += part.length;
+    }
+    return out;
+}
+
+const matchesAt = (bytes, offset, text) => {
+    for (let i = 0; i < text.length; i++) {
+        if (bytes[offset + i] !== text.charCodeAt(i)) return false;
+    }
+    return true;
+};
+
+const hasValue = (value) => value !== null && value !== undefined && String(value).trim() !== '';
+
+// "3/12", "3" or null
+const formatPosition = (number, total) => {
+    if (!hasValue(number)) return null;
+    return hasValue(total) ? `${number}/${total}` : String(number);
+};
+
+const PADDING_SIZE = 1024;
+
+// ---- MP3: ID3v2.4 ----
+
+const syncsafe = (value) => new Uint8Array([(value >> 21) & 0x7f, (value >> 14) & 0x7f, (value >> 7) & 0x7f, value & 0x7f]);
+
+// Frames rebuilt from the tag; other v2.3/v2.4 frames are carried over as they are
+const ID3_MANAGED_FRAMES = new Set([
+    'TIT2', 'TPE1', 'TALB', 'TPE2', 'TCOM', 'TRCK', 'TPOS', 'TDRC', 'TCON', 'TBPM', 'COMM', 'USLT', 'APIC'
+]);
+// v2.3 frames that no longer exist in v2.4
+const ID3_OBSOLETE_FRAMES = new Set(['TYER', 'TDAT', 'TIME', 'TRDA', 'TORY', 'TSIZ', 'IPLS', 'RVAD', 'EQUA']);
+
+const ID3_UTF8 = 3;
+
+function id3Frame(id, body) {
+    return concat([bytesOf(id), syncsafe(body.length), [0, 0], body]);
+}
+
+function id3TextFrame(id, value) {
+    return id3Frame(id, concat([[ID3_UTF8], utf8.encode(String(value))]));
+}
+
+// COMM and USLT: encoding, language, empty description, text
+function id3LanguageTextFrame(id, value) {
+    return id3Frame(id, concat([[ID3_UTF8], bytesOf('eng'), [0], utf8.encode(String(value))]));
+}
+
+function buildId3v2(tag, existing) {
+    const frames = [];
+    const text = [
+        ['TIT2', tag.title],
+        ['TPE1', tag.artist],
+        ['TALB', tag.album],
+        ['TPE2', tag.albumArtist],
+        ['TCOM', tag.composer],
+        ['TRCK', formatPosition(tag.trackNumber, tag.trackTotal)],
+        ['TPOS', formatPosition(tag.discNumber, tag.discTotal)],
+        ['TDRC', tag.year],
+        ['TCON', tag.genre],
+        ['TBPM', tag.bpm]
+    ];
+    for (const [id, value] of text) {
+        if (hasValue(value)) frames.push(id3TextFrame(id, value));
+    }
+    if (hasValue(tag.comment)) frames.push(id3LanguageTextFrame('COMM', tag.comment));
+    if (hasValue(tag.lyrics)) frames.push(id3LanguageTextFrame('USLT', tag.lyrics));
+
+    const userText = tag.userText || {};
+    const userKeys = new Set(Object.keys(userText).map(key => key.toUpperCase()));
+    for (const [description, value] of Object.entries(userText)) {
+        frames.push(id3Frame('TXXX', concat([[ID3_UTF8], utf8.encode(description), [0], utf8.encode(String(value))])));
+    }
+
+    if (tag.picture) {
+        // Encoding, MIME, picture type (3 = front cover), empty description, data
+        frames.push(id3Frame('APIC', concat([[ID3_UTF8], bytesOf(tag.picture.mimeType), [0], [3], [0], tag.picture.data])));
+    }
+
+    // v2.2 frame IDs don't map onto v2.4 one to one, so those tags are replaced whole
+    if (existing && existing.version >= 3) {
+        for (const { id, data } of existing.frames) {
+            if (ID3_MANAGED_FRAMES.has(id) || ID3_OBSOLETE_FRAMES.has(id)) continue;
+            if (id === 'TXXX' && userKeys.has(readUserTextFrame(data).description.toUpperCase())) continue;
+            frames.push(id3Frame(id, data));
+        }
+    }
+
+    const body = concat([...frames, new Uint8Array(PADDING_SIZE)]);
+    // "ID3", version 2.4.0, no flags
+    return concat([bytesOf('ID3'), [4, 0, 0], syncsafe(body.length), body]);
+}
+
+function writeMp3(bytes, tag) {
+    const existing = readId3v2Frames(bytes);
+    let audio = bytes.subarray(getId3v2Size(bytes));
+    // A trailing ID3v1 tag would still carry the old title
+    if (audio.length >= 128 && matchesAt(audio, audio.length - 128, 'TAG')) {
+        audio = audio.subarray(0, audio.length - 128);
+    }
+    return [buildId3v2(tag, existing), audio];
+}
+
+// ---- FLAC: VORBIS_COMMENT and PICTURE metadata blocks ----
+
+const FLAC_STREAMINFO = 0;
+const FLAC_PADDING = 1;
+const FLAC_VORBIS_COMMENT = 4;
+const FLAC_PICTURE = 6;
+
+// Every spelling the reader understands is dropped before the new values go in
+const VORBIS_MANAGED_KEYS = new Set([
+    'TITLE', 'ARTIST', 'ALBUM', 'ALBUMARTIST', 'ALBUM ARTIST', 'COMPOSER', 'GENRE', 'DATE', 'YEAR',
+    'TRACKNUMBER', 'TRACKTOTAL', 'TOTALTRACKS', 'DISCNUMBER', 'DISCTOTAL', 'TOTALDISCS', 'BPM',
+    'COMMENT', 'DESCRIPTION', 'LYRICS', 'UNSYNCEDLYRICS', 'METADATA_BLOCK_PICTURE', 'COVERART', 'COVERARTMIME'
+]);
+
+// Vendor string and raw "KEY=value" entries of an existing comment block
+function readVorbisCommentEntries(block) {
+    const vendorLength = readUint32LE(block, 0);
+    const vendor = block.subarray(4, 4 + vendorLength);
+    let offset = 4 + vendorLength;
+    const count = readUint32LE(block, offset);
+    offset += 4;
+    const entries = [];
+    for (let i = 0; i < count && offset + 4 <= block.length; i++) {
+        const length = readUint32LE(block, offset);
+        entries.push(block.subarray(offset + 4, offset + 4 + length));
+        offset += 4 + length;
+    }
+    return { vendor, entries };
+}
+
+function buildVorbisComment(tag, existing) {
+    const entries = [];
+    const add = (key, value) => {
+        if (hasValue(value)) entries.push(utf8.encode(`${key}=${value}`));
+    };
+    add('TITLE', tag.title);
+    add('ARTIST', tag.artist);
+    add('ALBUM', tag.album);
+    add('ALBUMARTIST', tag.albumArtist);
+    add('COMPOSER', tag.composer);
+    add('GENRE', tag.genre);
+    add('DATE', tag.year);
+    add('TRACKNUMBER', tag.trackNumber);
+    add('TRACKTOTAL', tag.trackTotal);
+    add('DISCNUMBER', tag.discNumber);
+    add('DISCTOTAL', tag.discTotal);
+    add('BPM', tag.bpm);
+    add('COMMENT', tag.comment);
+    add('LYRICS', tag.lyrics);
+
+    const userText = tag.userText || {};
+    for (const [key, value] of Object.entries(userText)) add(key.toUpperCase(), value);
+
+    const replaced = new Set([...VORBIS_MANAGED_KEYS, ...Object.keys(userText).map(key => key.toUpperCase())]);
+    for (const entry of existing ? existing.entries : []) {
+        const separator = entry.indexOf(0x3d); // '='
+        const key = latin1.decode(entry.subarray(0, separator)).toUpperCase();
+        if (separator > 0 && !replaced.has(key)) entries.push(entry);
+    }
+
+    const vendor = existing ? existing.vendor : utf8.encode('disc-player');
+    return concat([
+        uint32LE(vendor.length), vendor,
+        uint32LE(entries.length),
+        ...entries.flatMap(entry => [uint32LE(entry.length), entry])
+    ]);
+}
+
+function buildFlacPicture(picture) {
+    const mime = bytesOf(picture.mimeType);
+    // Type 3 (front cover), MIME, empty description, unknown dimensions
+    return concat([
+        uint32BE(3),
+        uint32BE(mime.length), mime,
+        uint32BE(0),
+        uint32BE(0), uint32BE(0), uint32BE(0), uint32BE(0),
+        uint32BE(picture.data.length), picture.data
+    ]);
+}
+
+const FLAC_MAX_BLOCK = 0xffffff;
+
+function writeFlac(bytes, tag, start) {
+    const kept = [];
+    let comments = null;
+    let offset = start + 4;
+    let isLast = false;
+    while (!isLast && offset + 4 <= bytes.length) {
+        const header = bytes[offset];
+        isLast = (header & 0x80) !== 0;
+        const type = header & 0x7f;
+        const length = (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3];
+        const block = bytes.subarray(offset + 4, offset + 4 + length);
+        if (type === FLAC_VORBIS_COMMENT) {
+            comments = readVorbisCommentEntries(block);
+        } else if (type !== FLAC_PADDING && type !== FLAC_PICTURE) {
+            kept.push({ type, block });
+        }
+        offset += 4 + length;
+    }
+    if (!isLast || kept[0]?.type !== FLAC_STREAMINFO) {
+        throw new Error('Malformed FLAC metadata');
+    }
+
+    const blocks = [...kept, { type: FLAC_VORBIS_COMMENT, block: buildVorbisComment(tag, comments) }];
+    if (tag.picture && tag.picture.data.length < FLAC_MAX_BLOCK - 64) {
+        blocks.push({ type: FLAC_PICTURE, block: buildFlacPicture(tag.picture) });
+    }
+    blocks.push({ type: FLAC_PADDING, block: new Uint8Array(PADDING_SIZE) });
+
+    const metadata = blocks.map(({ type, block }, index) => {
+        const last = index === blocks.length - 1 ? 0x80 : 0;
+        const length = block.length;
+        return concat([[last | type, (length >>> 16) & 0xff, (length >>> 8) & 0xff, length & 0xff], block]);
+    });
+    // Anything before "fLaC" (an ID3 tag some rippers add) is dropped
+    return [bytesOf('fLaC'), ...metadata, bytes.subarray(offset)];
+}
+
+// ---- MP4/M4A: moov/udta/meta/ilst ----
+
+const MP4_TEXT = 1;
+const MP4_INTEGER = 21;
+const MP4_IMAGE_TYPES = { 'image/jpeg': 13, 'image/png': 14, 'image/bmp': 27 };
+
+const MP4_MANAGED_ITEMS = new Set([
+    '©nam', '©ART', 'aART', '©alb', '©wrt', '©day', '©gen', 'gnre', 'tmpo', '©cmt', '©lyr', 'trkn', 'disk', 'covr'
+]);
+
+function atom(type, ...parts) {
+    const body = concat(parts);
+    return concat([uint32BE(body.length + 8), bytesOf(type), body]);
+}
+
+const dataAtom = (dataType, payload) => atom('data', uint32BE(dataType), uint32BE(0), payload);
+
+// Name of a freeform ("----") item, e.g. replaygain_track_gain
+function readFreeformName(bytes, item) {
+    for (const child of readAtoms(bytes, item.start, item.end)) {
+        if (child.type === 'name') return new TextDecoder('utf-8').decode(bytes.subarray(child.start + 4, child.end));
+    }
+    return null;
+}
+
+function buildIlst(tag, bytes, existing) {
+    const items = [];
+    const text = (type, value) => {
+        if (hasValue(value)) items.push(atom(type, dataAtom(MP4_TEXT, utf8.encode(String(value)))));
+    };
+    text('©nam', tag.title);
+    text('©ART', tag.artist);
+    text('aART', tag.albumArtist);
+    text('©alb', tag.album);
+    text('©wrt', tag.composer);
+    text('©day', tag.year);
+    text('©gen', tag.genre);
+    text('©cmt', tag.comment);
+    text('©lyr', tag.lyrics);
+
+    if (hasValue(tag.bpm)) {
+        items.push(atom('tmpo', dataAtom(MP4_INTEGER, uint16BE(Math.round(Number(tag.bpm)) || 0))));
+    }
+    if (hasValue(tag.trackNumber)) {
+        items.push(atom('trkn', dataAtom(0, concat([uint16BE(0), uint16BE(tag.trackNumber), uint16BE(tag.trackTotal || 0), uint16BE(0)]))));
+    }
+    if (hasValue(tag.discNumber)) {
+        items.push(atom('disk', dataAtom(0, concat([uint16BE(0), uint16BE(tag.discNumber), uint16BE(tag.discTotal || 0)]))));
+    }
+    // covr only knows JPEG, PNG and BMP
+    const imageType = tag.picture && MP4_IMAGE_TYPES[tag.picture.mimeType];
+    if (imageType) {
+        items.push(atom('covr', dataAtom(imageType, tag.picture.data)));
+    }
+
+    const userText = tag.userText || {};
+    for (const [name, value] of Object.entries(userText)) {
+        items.push(atom('----',
+            atom('mean', uint32BE(0), bytesOf('com.apple.iTunes')),
+            atom('name', uint32BE(0), utf8.encode(name)),
+            dataAtom(MP4_TEXT, utf8.encode(String(value)))
+        ));
+    }
+
+    if (existing) {
+        const userKeys = new Set(Object.keys(userText).map(key => key.toUpperCase()));
+        for (const item of readAtoms(bytes, existing.start, existing.end)) {
+            if (MP4_MANAGED_ITEMS.has(item.type)) continue;
+            if (item.type === '----' && userKeys.has((readFreeformName(bytes, item) || '').toUpperCase())) continue;
+            items.push(bytes.subarray(item.atomStart, item.end));
+        }
+    }
+    return atom('ilst', ...items);
+}
+
+// Handler box iTunes expects in front of ilst
+const buildMetadataHandler = () => atom('hdlr', uint32BE(0), uint32BE(0), bytesOf('mdir'), bytesOf('appl'), new Uint8Array(9));
+
+const findChild = (bytes, parent, type) => {
+    for (const child of readAtoms(bytes, parent.start, parent.end)) {
+        if (child.type === type) return child;
+    }
+    return null;
+};
+
+function buildMeta(tag, bytes, meta) {
+    // 'meta' is a full atom: version and flags come before its children
+    const children = meta ? { start: meta.start + 4, end: meta.end } : null;
+    const ilst = children ? findChild(bytes, children, 'ilst') : null;
+    const parts = [];
+    let hasHandler = false;
+    if (children) {
+        for (const child of readAtoms(bytes, children.start, children.end)) {
+            if (child.type === 'ilst') continue;
+            if (child.type === 'hdlr') hasHandler = true;
+            parts.push(bytes.subarray(child.atomStart, child.end));
+        }
+    }
+    if (!hasHandler) parts.unshift(buildMetadataHandler());
+    return atom('meta', uint32BE(0), ...parts, buildIlst(tag, bytes, ilst));
+}
+
+function buildMoov(tag, bytes, moov) {
+    const parts = [];
+    let udta = null;
+    for (const child of readAtoms(bytes, moov.start, moov.end)) {
+        if (child.type === 'udta') udta = child;
+        else parts.push(bytes.subarray(child.atomStart, child.end));
+    }
+
+    const udtaParts = [];
+    let meta = null;
+    if (udta) {
+        for (const child of readAtoms(bytes, udta.start, udta.end)) {
+            if (child.type === 'meta') meta = child;
+            else udtaParts.push(bytes.subarray(child.atomStart, child.end));
+        }
+    }
+    parts.push(atom('udta', ...udtaParts, buildMeta(tag, bytes, meta)));
+    return atom('moov', ...parts);
+}
+
+const MP4_CONTAINERS = new Set(['moov', 'trak', 'mdia', 'minf', 'stbl']);
+
+// Chunk offsets (stco/co64) pointing past the old moov move along with the media data
+function shiftChunkOffsets(moov, start, end, after, delta) {
+    for (const child of readAtoms(moov, start, end)) {
+        if (MP4_CONTAINERS.has(child.type)) {
+            shiftChunkOffsets(moov, child.start, child.end, after, delta);
+        } else if (child.type === 'stco' || child.type === 'co64') {
+            const count = readUint32BE(moov, child.start + 4);
+            const view = new DataView(moov.buffer, moov.byteOffset);
+            for (let i = 0; i < count; i++) {
+                if (child.type === 'stco') {
+                    const position = child.start + 8 + i * 4;
+                    const value = view.getUint32(position);
+                    if (value >= after) {
+                        if (value + delta > 0xffffffff) throw new Error('Chunk offset overflow');
+                        view.setUint32(position, value + delta);
+                    }
+                } else {
+                    const position = child.start + 8 + i * 8;
+                    const value = view.getBigUint64(position);
+                    if (value >= BigInt(after)) view.setBigUint64(position, value + BigInt(delta));
+                }
+            }
+        }
+    }
+}
+
+function writeMp4(bytes, tag) {
+    const moov = findChild(bytes, { start: 0, end: bytes.length }, 'moov');
+    if (!moov) throw new Error('No moov atom');
+
+    const newMoov = buildMoov(tag, bytes, moov);
+    const delta = newMoov.length - (moov.end - moov.atomStart);
+    if (delta !== 0) {
+        // Skip the moov header itself, then walk its tracks
+        shiftChunkOffsets(newMoov, 8, newMoov.length, moov.end, delta);
+    }
+    return [bytes.subarray(0, moov.atomStart), newMoov, bytes.subarray(moov.end)];
+}
+
+// ---- Dispatch ----
+
+const DEFAULT_TYPES = { MP3: 'audio/mpeg', FLAC: 'audio/flac', MP4: 'audio/mp4' };
+
+export function writeTags(bytes, tag, type = null) {
+    let format = null;
+    let parts = null;
+
+    const id3Size = getId3v2Size(bytes);
+    if (matchesAt(bytes, id3Size, 'fLaC')) {
+        format = 'FLAC';
+        parts = writeFlac(bytes, tag, id3Size);
+    } else if (matchesAt(bytes, 4, 'ftyp')) {
+        format = 'MP4';
+        parts = writeMp4(bytes, tag);
+    } else if (id3Size > 0 || (bytes[0] === 0xff && (bytes[1] & 0xe0) === 0xe0)) {
+        // An ID3 tag or an MPEG frame sync at the start
+        format = 'MP3';
+        parts = writeMp3(bytes, tag);
+    } else {
+        return null;
+    }
+
+    return { format, blob: new Blob(parts, { type: type || DEFAULT_TYPES[format] }) };
+}
@@ -0,0 +1,244 @@
+// Minimal ZIP archives for library backups. Entries are written uncompressed
+// (audio and cover art are compressed already) straight from Blobs, so the
+// archive is assembled without holding the library in memory. ZIP64 records
+// are added once the archive passes 4 GB. Reading also accepts deflated
+// entries, in case a backup was re-zipped by another tool.
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP64_END_OF_CENTRAL_DIRECTORY = 0x06064b50;
+const ZIP64_LOCATOR = 0x07064b50;
+const ZIP64_EXTRA = 0x0001;
+const UTF8_FLAG = 0x0800;
+const MAX_32 = 0xffffffff;
+const MAX_16 = 0xffff;
+const CRC_CHUNK = 8 * 1024 * 1024;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+const CRC_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    CRC_TABLE[n] = c >>> 0;
+}
+
+function updateCrc(crc, bytes) {
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return crc;
+}
+
+// Read in chunks so large audio files aren't loaded whole
+async function crc32(blob) {
+    let crc = MAX_32;
+    for (let start = 0; start < blob.size; start += CRC_CHUNK) {
+        const chunk = new Uint8Array(await blob.slice(start, start + CRC_CHUNK).arrayBuffer());
+        crc = updateCrc(crc, chunk);
+    }
+    return (crc ^ MAX_32) >>> 0;
+}
+
+function toDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+function zip64Extra(values) {
+    const bytes = new Uint8Array(4 + values.length * 8);
+    const view = new DataView(bytes.buffer);
+    view.setUint16(0, ZIP64_EXTRA, true);
+    view.setUint16(2, values.length * 8, true);
+    values.forEach((value, i) => view.setBigUint64(4 + i * 8, BigInt(value), true));
+    return bytes;
+}
+
+// entries: [{ path, data: Blob | string }]; onProgress(done, total) after each entry.
+// Returns the archive as a Blob.
+export async function createZip(entries, onProgress = null) {
+    const parts = [];
+    const central = [];
+    const { time, date } = toDosDateTime(new Date());
+    let offset = 0;
+
+    for (const [index, entry] of entries.entries()) {
+        const blob = entry.data instanceof Blob ? entry.data : new Blob([entry.data]);
+        const name = textEncoder.encode(entry.path);
+        const crc = await crc32(blob);
+        const size = blob.size;
+        const largeFile = size >= MAX_32;
+        const extra = largeFile ? zip64Extra([size, size]) : new Uint8Array(0);
+
+        const header = new Uint8Array(30 + name.length + extra.length);
+        const view = new DataView(header.buffer);
+        view.setUint32(0, LOCAL_HEADER, true);
+        view.setUint16(4, largeFile ? 45 : 20, true);
+        view.setUint16(6, UTF8_FLAG, true);
+        view.setUint16(8, 0, true); // stored
+        view.setUint16(10, time, true);
+        view.setUint16(12, date, true);
+        view.setUint32(14, crc, true);
+        view.setUint32(18, largeFile ? MAX_32 : size, true);
+        view.setUint32(22, largeFile ? MAX_32 : size, true);
+        view.setUint16(26, name.length, true);
+        view.setUint16(28, extra.length, true);
+        header.set(name, 30);
+        header.set(extra, 30 + name.length);
+
+        central.push({ name, crc, size, offset });
+        parts.push(header, blob);
+        offset += header.length + size;
+        if (onProgress) onProgress(index + 1, entries.length);
+    }
+
+    const centralStart = offset;
+    for (const { name, crc, size, offset: localOffset } of central) {
+        const overflow = [];
+        if (size >= MAX_32) overflow.push(size, size);
+        if (localOffset >= MAX_32) overflow.push(localOffset);
+        const extra = overflow.length ? zip64Extra(overflow) : new Uint8Array(0);
+
+        const header = new Uint8Array(46 + name.length + extra.length);
+        const view = new DataView(header.buffer);
+        view.setUint32(0, CENTRAL_HEADER, true);
+        view.setUint16(4, 45, true);
+        view.setUint16(6, overflow.length ? 45 : 20, true);
+        view.setUint16(8, UTF8_FLAG, true);
+        view.setUint16(10, 0, true);
+        view.setUint16(12, time, true);
+        view.setUint16(14, date, true);
+        view.setUint32(16, crc, true);
+        view.setUint32(20, size >= MAX_32 ? MAX_32 : size, true);
+        view.setUint32(24, size >= MAX_32 ? MAX_32 : size, true);
+        view.setUint16(28, name.length, true);
+        view.setUint16(30, extra.length, true);
+        view.setUint32(42, localOffset >= MAX_32 ? MAX_32 : localOffset, true);
+        header.set(name, 46);
+        header.set(extra, 46 + name.length);
+        parts.push(header);
+        offset += header.length;
+    }
+
+    const centralSize = offset - centralStart;
+    const needsZip64 = central.length >= MAX_16 || centralStart >= MAX_32 || centralSize >= MAX_32;
+    if (needsZip64) {
+        const record = new Uint8Array(56 + 20);
+        const view = new DataView(record.buffer);
+        view.setUint32(0, ZIP64_END_OF_CENTRAL_DIRECTORY, true);
+        view.setBigUint64(4, 44n, true);
+        view.setUint16(12, 45, true);
+        view.setUint16(14, 45, true);
+        view.setBigUint64(24, BigInt(central.length), true);
+        view.setBigUint64(32, BigInt(central.length), true);
+        view.setBigUint64(40, BigInt(centralSize), true);
+        view.setBigUint64(48, BigInt(centralStart), true);
+        // Locator pointing back at the record above
+        view.setUint32(56, ZIP64_LOCATOR, true);
+        view.setBigUint64(64, BigInt(offset), true);
+        view.setUint32(72, 1, true);
+        parts.push(record);
+    }
+
+    const end = new Uint8Array(22);
+    const endView = new DataView(end.buffer);
+    endView.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+    endView.setUint16(8, Math.min(central.length, MAX_16), true);
+    endView.setUint16(10, Math.min(central.length, MAX_16), true);
+    endView.setUint32(12, needsZip64 ? MAX_32 : centralSize, true);
+    endView.setUint32(16, needsZip64 ? MAX_32 : centralStart, true);
+    parts.push(end);
+
+    return new Blob(parts, { type: 'application/zip' });
+}
+
+async function readBytes(blob, start, length) {
+    return new Uint8Array(await blob.slice(start, start + length).arrayBuffer());
+}
+
+// Entries of a ZIP file: [{ path, method, compressedSize, size, offset }]
+export async function readZipDirectory(file) {
+    const tailLength = Math.min(file.size, 22 + MAX_16);
+    const tailStart = file.size - tailLength;
+    const tail = await readBytes(file, tailStart, tailLength);
+    const tailView = new DataView(tail.buffer);
+
+    let endPos = -1;
+    for (let i = tail.length - 22; i >= 0; i--) {
+        if (tailView.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+            endPos = i;
+            break;
+        }
+    }
+    if (endPos === -1) throw new Error('Not a ZIP file');
+
+    let count = tailView.getUint16(endPos + 10, true);
+    let centralSize = tailView.getUint32(endPos + 12, true);
+    let centralStart = tailView.getUint32(endPos + 16, true);
+
+    const locatorPos = endPos - 20;
+    if (locatorPos >= 0 && tailView.getUint32(locatorPos, true) === ZIP64_LOCATOR) {
+        const recordOffset = Number(tailView.getBigUint64(locatorPos + 8, true));
+        const record = new DataView((await readBytes(file, recordOffset, 56)).buffer);
+        if (record.getUint32(0, true) === ZIP64_END_OF_CENTRAL_DIRECTORY) {
+            count = Number(record.getBigUint64(32, true));
+            centralSize = Number(record.getBigUint64(40, true));
+            centralStart = Number(record.getBigUint64(48, true));
+        }
+    }
+
+    const directory = await readBytes(file, centralStart, centralSize);
+    const view = new DataView(directory.buffer);
+    const entries = [];
+    let pos = 0;
+    for (let i = 0; i < count && pos + 46 <= directory.length; i++) {
+        if (view.getUint32(pos, true) !== CENTRAL_HEADER) throw new Error('Damaged ZIP directory');
+        const method = view.getUint16(pos + 10, true);
+        let compressedSize = view.getUint32(pos + 20, true);
+        let size = view.getUint32(pos + 24, true);
+        const nameLength = view.getUint16(pos + 28, true);
+        const extraLength = view.getUint16(pos + 30, true);
+        const commentLength = view.getUint16(pos + 32, true);
+        let offset = view.getUint32(pos + 42, true);
+        const path = textDecoder.decode(directory.subarray(pos + 46, pos + 46 + nameLength));
+
+        // ZIP64 values appear in this order, only for fields that overflowed
+        let extraPos = pos + 46 + nameLength;
+        const extraEnd = extraPos + extraLength;
+        while (extraPos + 4 <= extraEnd) {
+            const id = view.getUint16(extraPos, true);
+            const length = view.getUint16(extraPos + 2, true);
+            if (id === ZIP64_EXTRA) {
+                let valuePos = extraPos + 4;
+                if (size === MAX_32) { size = Number(view.getBigUint64(valuePos, true)); valuePos += 8; }
+                if (compressedSize === MAX_32) { compressedSize = Number(view.getBigUint64(valuePos, true)); valuePos += 8; }
+                if (offset === MAX_32) { offset = Number(view.getBigUint64(valuePos, true)); }
+            }
+            extraPos += 4 + length;
+        }
+
+        if (!path.endsWith('/')) entries.push({ path, method, compressedSize, size, offset });
+        pos = extraEnd + commentLength;
+    }
+    return entries;
+}
+
+// Contents of one entry as a Blob; stored entries are a slice of the file, not a copy
+export async function readZipEntry(file, entry, type = '') {
+    const header = new DataView((await readBytes(file, entry.offset, 30)).buffer);
+    if (header.getUint32(0, true) !== LOCAL_HEADER) throw new Error(`Damaged ZIP entry: ${entry.path}`);
+    const dataStart = entry.offset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+    const data = file.slice(dataStart, dataStart + entry.compressedSize, type);
+
+    if (entry.method === 0) return data;
+    if (entry.method === 8 && typeof DecompressionStream !== 'undefined') {
+        const stream = data.stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        const inflated = await new Response(stream).blob();
+        return type ? new Blob([inflated], { type }) : inflated;
+    }
+    throw new Error(`Unsupported compression in ${entry.path}`);
+}